@@ -9,10 +9,21 @@ var codecs = require('codecs')
 var batcher = require('atomic-batcher')
 var inherits = require('inherits')
 var raf = require('random-access-file')
+var uint64be = require('uint64be')
 var bitfield = require('./lib/bitfield')
 var sparseBitfield = require('sparse-bitfield')
 var treeIndex = require('./lib/tree-index')
 var storage = require('./lib/storage')
+var singleFile = require('./lib/single-file')
+var Snapshot = require('./lib/snapshot')
+var FeedPromises = require('./lib/promises')
+var Reader = require('./lib/reader')
+var hashRange = require('./lib/range-proof')
+var proofBundle = require('./lib/proof-bundle')
+var algorithms = require('./lib/algorithms')
+var manifest = require('./lib/manifest')
+var Throttle = require('./lib/throttle')
+var BlockEncryption = require('./lib/block-encryption')
 var crypto = require('ddatabase-crypto')
 var inspect = require('inspect-custom-symbol')
 var pretty = require('pretty-hash')
@@ -37,12 +48,19 @@ class Extension extends Message {
   }
 }
 
-var defaultCrypto = {
-  sign (data, sk, cb) {
-    return cb(null, crypto.sign(data, sk))
-  },
-  verify (sig, data, pk, cb) {
-    return cb(null, crypto.verify(sig, data, pk))
+var TRUNCATION_EXTENSION = 'ddatabase/truncate'
+var ALGORITHMS_EXTENSION = 'ddatabase/algorithms'
+var MANIFEST_EXTENSION = 'ddatabase/manifest'
+var TRUNCATION_TYPE = Buffer.from('ddatabase truncate')
+
+function defaultCrypto (signature) {
+  return {
+    sign (data, sk, cb) {
+      return cb(null, signature.sign(data, sk))
+    },
+    verify (data, sig, pk, cb) {
+      return cb(null, signature.verify(data, sig, pk))
+    }
   }
 }
 
@@ -63,20 +81,29 @@ function Feed (createStorage, key, opts) {
   }
 
   if (!opts) opts = {}
+  if (opts.singleFile) createStorage = singleFile(createStorage, opts.singleFile)
 
   var self = this
 
   var secretKey = opts.secretKey || null
   if (typeof secretKey === 'string') secretKey = Buffer.from(secretKey, 'hex')
 
+  var encryptionKey = opts.encryptionKey || null
+  if (typeof encryptionKey === 'string') encryptionKey = Buffer.from(encryptionKey, 'hex')
+  if (encryptionKey && encryptionKey.length !== BlockEncryption.KEY_BYTES) {
+    throw new Error('encryptionKey should be ' + BlockEncryption.KEY_BYTES + ' bytes')
+  }
+
   this.noiseKeyPair = opts.noiseKeyPair || Protocol.keyPair()
   this.live = opts.live !== false
   this.sparse = !!opts.sparse
   this.length = 0
   this.byteLength = 0
-  this.maxRequests = opts.maxRequests || 16
+  this.fork = 0
+  this.maxRequests = opts.maxRequests || 0 // 0 adapts it to each peer
   this.key = key || opts.key || null
   this.discoveryKey = this.key && crypto.discoveryKey(this.key)
+  this.encrypted = !!encryptionKey
   this.secretKey = secretKey
   this.bitfield = null
   this.tree = null
@@ -86,13 +113,50 @@ function Feed (createStorage, key, opts) {
   this.uploading = opts.uploading !== false
   this.allowPush = !!opts.allowPush
   this.peers = []
+  this.bans = [] // noise public keys of peers we do not replicate with
+  this.allowUploads = opts.allowUploads || [] // { start, end, publicKey } rules for what peers may fetch
+  this.denyUploads = opts.denyUploads || []
   this.ifAvailable = new Nanoguard()
   this.extensions = Extension.createLocal(this) // set Feed as the handlers
+  this._truncationExtension = this.extensions.add(TRUNCATION_EXTENSION, {
+    onmessage (message, peer) {
+      self._ontruncation(message, peer)
+    }
+  })
+
+  this._algorithmsExtension = this.extensions.add(ALGORITHMS_EXTENSION, {
+    encoding: 'json',
+    onmessage (message, peer) {
+      self._onalgorithms(message, peer)
+    }
+  })
+
+  this._manifestExtension = this.extensions.add(MANIFEST_EXTENSION, {
+    onmessage (message, peer) {
+      self._onmanifest(message, peer)
+    }
+  })
+
+  this._hash = algorithms.hash(opts.hash)
+  this._signature = algorithms.signature(opts.signature)
+  if (!this._hash) throw new Error('Unknown hash algorithm: ' + (opts.hash.name || opts.hash))
+  if (!this._signature) throw new Error('Unknown signature algorithm: ' + (opts.signature.name || opts.signature))
 
-  this.crypto = opts.crypto || defaultCrypto
+  this.hashAlgorithm = this._hash.name
+  this.signatureAlgorithm = this._signature.name
+  this.crypto = opts.crypto || defaultCrypto(this._signature)
+
+  // multi-writer feeds have a signed manifest listing the keys allowed to append
+  this.writers = null
+  this._manifest = null
+  this._writerKeyPair = opts.writerKeyPair || null
 
   // hooks
   this._onwrite = opts.onwrite || null
+  this._onupload = opts.onupload || null
+
+  this._encryptionKey = encryptionKey
+  this._encryption = null // set once the key is known
 
   this._expectedLength = -1
   this._indexing = !!opts.indexing
@@ -100,6 +164,10 @@ function Feed (createStorage, key, opts) {
   this._overwrite = !!opts.overwrite
   this._storeSecretKey = opts.storeSecretKey !== false
   this._alwaysIfAvailable = !!opts.ifAvailable
+  this._repairOnOpen = !!opts.repair
+  this._customCrypto = !!opts.crypto
+  this._algorithmsSet = !!(opts.hash || opts.signature)
+  this._algorithmsAdopted = false // taken from a peer, but no data has been verified with them yet
   this._merkle = null
   this._storage = storage(createStorage, opts)
   this._batch = batcher(this._onwrite ? workHook : work)
@@ -114,17 +182,31 @@ function Feed (createStorage, key, opts) {
   }
 
   this._seq = 0
+  this._forkLength = 0
+  this._forks = [] // every truncation, { fork, length, signature }
+  this._compacting = null // writes waiting for a compaction to read the bitfield
+  this._writing = 0 // writes that set bits in the bitfield once they are done
+  this._onwritten = null
   this._waiting = []
   this._selections = []
+  this._replicatedWaiting = []
+  this._selectionsServed = 0
   this._reserved = sparseBitfield()
   this._synced = null
   this._downloadingSet = typeof opts.downloading === 'boolean'
+  this._uploadThrottle = new Throttle(opts.uploadRate)
+  this._downloadThrottle = new Throttle(opts.downloadRate)
+  this._misbehaviour = new Map() // counts per remote public key, so they add up over reconnects
+  this._misbehaviourPolicy = Object.assign({ unrequested: 64, invalid: 3, decay: 60000, ban: true }, opts.misbehaviour)
+  this._promises = null
 
   this._stats = (typeof opts.stats !== 'undefined' && !opts.stats) ? null : {
     downloadedBlocks: 0,
     downloadedBytes: 0,
     uploadedBlocks: 0,
-    uploadedBytes: 0
+    uploadedBytes: 0,
+    uploadThrottledTime: 0,
+    downloadThrottledTime: 0
   }
 
   this._codec = toCodec(opts.valueEncoding)
@@ -164,6 +246,19 @@ inherits(Feed, Nanoresource)
 
 Feed.discoveryKey = crypto.discoveryKey
 
+Feed.verifyProof = proofBundle.verify
+
+Feed.keyPair = function (opts) {
+  var signature = algorithms.signature(opts && opts.signature)
+  if (!signature) throw new Error('Unknown signature algorithm: ' + (opts.signature.name || opts.signature))
+  return signature.keyPair()
+}
+
+Feed.migrateToSingleFile = function (createStorage, opts, cb) {
+  if (typeof createStorage === 'string') createStorage = defaultStorage(createStorage)
+  singleFile.migrate(createStorage, opts, cb)
+}
+
 Feed.prototype[inspect] = function (depth, opts) {
   var indent = ''
   if (typeof opts.indentationLvl === 'number') {
@@ -194,6 +289,15 @@ Object.defineProperty(Feed.prototype, 'remoteLength', {
   }
 })
 
+// Promise versions of the callback methods, see lib/promises.js
+Object.defineProperty(Feed.prototype, 'promises', {
+  enumerable: true,
+  get: function () {
+    if (!this._promises) this._promises = new FeedPromises(this)
+    return this._promises
+  }
+})
+
 Object.defineProperty(Feed.prototype, 'stats', {
   enumerable: true,
   get: function () {
@@ -257,6 +361,86 @@ Feed.prototype.setUploading = function (uploading) {
   })
 }
 
+// Limits the upload of all peers together, in bytes per second. 0 means unlimited
+Feed.prototype.setUploadRate = function (bytesPerSecond) {
+  this._uploadThrottle.setRate(bytesPerSecond)
+}
+
+Feed.prototype.setDownloadRate = function (bytesPerSecond) {
+  this._downloadThrottle.setRate(bytesPerSecond)
+  this._updatePeers()
+}
+
+// Disconnects the peers with this noise public key and rejects their channels from now on
+Feed.prototype.ban = function (publicKey) {
+  if (typeof publicKey === 'string') publicKey = Buffer.from(publicKey, 'hex')
+  if (indexOfKey(this.bans, publicKey) === -1) this.bans.push(publicKey)
+
+  var peers = this.peers.slice(0)
+
+  for (var i = 0; i < peers.length; i++) {
+    if (this.isBanned(peers[i].remotePublicKey)) peers[i]._close()
+  }
+}
+
+Feed.prototype.unban = function (publicKey) {
+  if (typeof publicKey === 'string') publicKey = Buffer.from(publicKey, 'hex')
+  var i = indexOfKey(this.bans, publicKey)
+  if (i > -1) this.bans.splice(i, 1)
+}
+
+Feed.prototype.isBanned = function (publicKey) {
+  return !!publicKey && indexOfKey(this.bans, publicKey) > -1
+}
+
+// Calls back with (null, true) if the peer may fetch the block. Deny rules win over allow rules,
+// and once there are allow rules the block has to match one of them. What they allow is up to the onupload hook.
+Feed.prototype._canUpload = function (index, peer, cb) {
+  var key = peer.remotePublicKey
+
+  if (matchesRule(this.denyUploads, index, key)) return cb(null, false)
+  if (this.allowUploads.length && !matchesRule(this.allowUploads, index, key)) return cb(null, false)
+  if (!this._onupload) return cb(null, true)
+
+  this._onupload(index, peer, function (err, allowed) {
+    cb(null, !err && allowed !== false)
+  })
+}
+
+// Called by a peer that pushed a block we did not ask for ('unrequested') or one that failed to verify
+// ('signature' or 'checksum'). Returns true if that was too much and the peer was disconnected.
+// Data failing to verify with algorithms we adopted is not counted, as the algorithms might be the wrong ones.
+Feed.prototype._onmisbehave = function (peer, type, err) {
+  if (this._algorithmsAdopted && type !== 'unrequested') return false
+
+  var key = peer.remotePublicKey
+  var id = key && key.toString('hex')
+  var entry = key ? this._misbehaviour.get(id) : peer._misbehaviour
+  var policy = this._misbehaviourPolicy
+  var now = Date.now()
+
+  if (!entry) {
+    entry = { time: now, counts: { unrequested: 0, signature: 0, checksum: 0 } }
+    if (key) this._misbehaviour.set(id, entry)
+    else peer._misbehaviour = entry
+  }
+
+  decayMisbehaviour(entry, policy.decay, now)
+
+  var counts = entry.counts
+  counts[type]++
+  this.emit('peer-misbehave', peer, type, counts)
+
+  var exceeded = (policy.unrequested > 0 && counts.unrequested >= policy.unrequested) ||
+    (policy.invalid > 0 && counts.signature + counts.checksum >= policy.invalid)
+
+  if (!exceeded) return false
+
+  peer.destroy(err)
+  if (policy.ban && key) this.ban(key)
+  return true
+}
+
 // Alias the nanoresource open method
 Feed.prototype.ready = Feed.prototype.open
 
@@ -269,6 +453,8 @@ Feed.prototype.update = function (opts, cb) {
   var self = this
   var len = typeof opts.minLength === 'number' ? opts.minLength : -1
 
+  if (opts.signal && opts.signal.aborted) return process.nextTick(cb, abortedError())
+
   this.ready(function (err) {
     if (err) return cb(err)
     if (len === -1) len = self.length + 1
@@ -282,7 +468,8 @@ Feed.prototype.update = function (opts, cb) {
       index: len - 1,
       options: opts,
       update: true,
-      callback: cb
+      signal: opts.signal || null,
+      callback: self._abortable(opts.signal, cb)
     }
 
     self._waiting.push(w)
@@ -386,7 +573,7 @@ Feed.prototype._reloadMerkleState = function (cb) {
 
   this._roots(self.length, function (err, roots) {
     if (err) return cb(err)
-    self._merkle = merkle(crypto, roots)
+    self._merkle = merkle(self._hash, roots)
     cb(null)
   })
 }
@@ -402,6 +589,7 @@ Feed.prototype._open = function (cb) {
   var self = this
   var generatedKey = false
   var retryOpen = true
+  var state = null
 
   // TODO: clean up the duplicate code below ...
 
@@ -409,7 +597,7 @@ Feed.prototype._open = function (cb) {
     if (key && !self._overwrite && !self.key) self.key = key
 
     if (!self.key && self.live) {
-      var keyPair = crypto.keyPair()
+      var keyPair = self._signature.keyPair()
       self.secretKey = keyPair.secretKey
       self.key = keyPair.publicKey
       generatedKey = true
@@ -419,8 +607,9 @@ Feed.prototype._open = function (cb) {
     self._storage.open({ key: self.key, discoveryKey: self.discoveryKey }, onopen)
   })
 
-  function onopen (err, state) {
+  function onopen (err, result) {
     if (err) return cb(err)
+    state = result
 
     // if no key but we have data do a bitfield reset since we cannot verify the data.
     if (!state.key && state.bitfield.length) {
@@ -429,14 +618,44 @@ Feed.prototype._open = function (cb) {
 
     if (self._overwrite) {
       state.bitfield = []
-      state.key = state.secretKey = null
+      state.key = state.secretKey = state.manifest = null
+      state.fork = state.forkLength = 0
+      state.forks = []
     }
 
+    if (state.manifest) self._setManifest(manifest.decode(state.manifest))
+
     self.bitfield = bitfield(state.bitfieldPageSize, state.bitfield)
     self.tree = treeIndex(self.bitfield.tree)
+
+    // a feed with data keeps the algorithms it was created with
+    if (self.tree.blocks() > 0) {
+      var mismatch = self._setAlgorithms(state.hash, state.signature)
+      if (mismatch) return self._forceClose(cb, mismatch)
+    }
+
+    self._storage.putAlgorithms(self.hashAlgorithm, self.signatureAlgorithm, onalgorithms)
+  }
+
+  function onalgorithms (err) {
+    if (err) return self._forceClose(cb, err)
+    if (!self._storage.journal) return onreplay(null)
+    if (self._overwrite) return self._storage.clearJournal(onreplay)
+    self._replayJournal(onreplay)
+  }
+
+  function onreplay (err) {
+    if (err) return self._forceClose(cb, err)
+
     self.length = self.tree.blocks()
+    self.fork = state.fork
+    self._forkLength = state.forkLength
+    self._forks = state.forks
     self._seq = self.length
 
+    // feeds truncated before truncations were kept only know the last one
+    if (self.fork && !self._getFork(self.fork)) self._addFork(self.fork, self._forkLength, null)
+
     if (state.key && self.key && Buffer.compare(state.key, self.key) !== 0) {
       return self._forceClose(cb, new Error('Another ddatabase is stored here'))
     }
@@ -455,17 +674,18 @@ Feed.prototype._open = function (cb) {
       }
 
       if (!self.key && self.live) {
-        var keyPair = crypto.keyPair()
+        var keyPair = self._signature.keyPair()
         self.secretKey = keyPair.secretKey
         self.key = keyPair.publicKey
       }
 
-      var writable = !!self.secretKey || self.key === null
+      var writable = !!self.secretKey || self.key === null || self._isWriter()
 
       if (!writable && self.writable) return self._forceClose(cb, new Error('Feed is not writable'))
       self.writable = writable
-      if (!self._downloadingSet) self.downloading = !writable
+      if (!self._downloadingSet) self.downloading = !writable || !!self.writers
       self.discoveryKey = self.key && crypto.discoveryKey(self.key)
+      if (self._encryptionKey && self.key) self._encryption = new BlockEncryption(self._encryptionKey, self.key)
 
       if (self._storeSecretKey && !self.secretKey) {
         self._storeSecretKey = false
@@ -477,7 +697,7 @@ Feed.prototype._open = function (cb) {
       var missing = 1 +
         (shouldWriteKey ? 1 : 0) +
         (shouldWriteSecretKey ? 1 : 0) +
-        (self._overwrite ? 1 : 0)
+        (self._overwrite ? 2 : 0)
       var error = null
 
       if (shouldWriteKey) self._storage.key.write(0, self.key, done)
@@ -485,6 +705,7 @@ Feed.prototype._open = function (cb) {
 
       if (self._overwrite) {
         self._storage.bitfield.del(32, Infinity, done)
+        self._storage.putFork(0, 0, done)
       }
 
       done(null)
@@ -497,25 +718,87 @@ Feed.prototype._open = function (cb) {
       }
 
       function onroots (err, roots) {
-        if (err && retryOpen) {
+        if (err && retryOpen && !self._repairOnOpen) {
           retryOpen = false
           self.length--
           self._storage.getSignature(self.length - 1, onsignature)
           return
         }
 
-        if (err) return self._forceClose(cb, err)
+        if (err && !self._repairOnOpen) return self._forceClose(cb, err)
 
-        self._merkle = merkle(crypto, roots)
-        self.byteLength = roots.reduce(addSize, 0)
-        self.emit('ready')
+        if (!err) {
+          self._merkle = merkle(self._hash, roots)
+          self.byteLength = roots.reduce(addSize, 0)
+        }
+
+        if (!self._repairOnOpen) return onready()
+
+        // the repair rebuilds the tree, so the roots above are allowed to be missing
+        self._repair(function (err, report) {
+          if (err) return self._forceClose(cb, err)
+          self.emit('repair', report)
+          onready()
+        })
+      }
 
+      function onready () {
+        self.emit('ready')
         cb(null)
       }
     }
   }
 }
 
+// redo the append batch left in the journal, if any. A batch that never made it
+// to the journal was never written anywhere else either, so there is nothing to undo.
+Feed.prototype._replayJournal = function (cb) {
+  var self = this
+
+  this._storage.getJournal(function (err, entry) {
+    if (err) return cb(err)
+    if (!entry) return self._storage.clearJournal(cb)
+
+    var pending = 1
+    var error = null
+    var i = 0
+
+    for (i = 0; i < entry.nodes.length; i++) {
+      pending++
+      self._storage.putNode(entry.nodes[i].index, entry.nodes[i], done)
+    }
+
+    if (entry.data) {
+      pending++
+      self._storage.writeData(entry.byteOffset, entry.data, done)
+    }
+
+    if (entry.signature) {
+      pending++
+      self._storage.putSignature(entry.start + entry.blocks - 1, entry.signature, entry.signer, done)
+    }
+
+    done(null)
+
+    function done (err) {
+      if (err) error = err
+      if (--pending) return
+      if (error) return cb(error)
+
+      for (i = entry.start; i < entry.start + entry.blocks; i++) {
+        if (entry.data) self.bitfield.set(i, true)
+        self.tree.set(2 * i)
+      }
+
+      self.emit('journal-replay', entry.start, entry.start + entry.blocks)
+      self._syncBitfield(function (err) {
+        if (err) return cb(err)
+        self._storage.clearJournal(cb)
+      })
+    }
+  })
+}
+
 Feed.prototype.download = function (range, cb) {
   if (typeof range === 'function') return this.download(null, range)
   if (typeof range === 'number') range = { start: range, end: range + 1 }
@@ -524,6 +807,8 @@ Feed.prototype.download = function (range, cb) {
   if (!cb) cb = noop
   if (!this.readable) return cb(new Error('Feed is closed'))
 
+  var signal = range.signal || null
+
   // TODO: if no peers, check if range is already satisfied and nextTick(cb) if so
   // this._updatePeers does this for us when there is a peer though, so not critical
 
@@ -551,16 +836,22 @@ Feed.prototype.download = function (range, cb) {
     end: range.end || -1,
     want: 0,
     linear: !!range.linear,
+    reverse: !!range.reverse,
+    priority: range.priority || 0,
+    served: 0,
     blocks: range.blocks || null,
     blocksDownloaded: 0,
+    cursor: -1,
     requested: 0,
-    callback: cb
+    signal: signal,
+    callback: this._abortable(signal, cb)
   }
 
   sel.want = toWantRange(sel.start)
 
   this._selections.push(sel)
-  this._updatePeers()
+  if (signal && signal.aborted) this._abort(signal)
+  else this._updatePeers()
 
   return sel
 }
@@ -571,6 +862,7 @@ Feed.prototype.undownload = function (range) {
 
   if (range.callback && range._index > -1) {
     set.remove(this._selections, range)
+    this._cancelUnwanted(range.start, range.end)
     process.nextTick(range.callback, createError('ECANCELED', -11, 'Download was cancelled'))
     return
   }
@@ -585,6 +877,7 @@ Feed.prototype.undownload = function (range) {
 
     if (s.start === start && s.end === end && s.hash === hash && s.linear === linear) {
       set.remove(this._selections, s)
+      this._cancelUnwanted(start, end)
       process.nextTick(range.callback, createError('ECANCELED', -11, 'Download was cancelled'))
       return
     }
@@ -599,6 +892,7 @@ Feed.prototype.proof = function (index, opts, cb) {
   if (typeof opts === 'function') return this.proof(index, null, opts)
   if (!this.opened) return this._readyAndProof(index, opts, cb)
   if (!opts) opts = {}
+  if (typeof index === 'object') return this._rangeProof(index.start, index.end, cb)
 
   var proof = this.tree.proof(2 * index, opts)
   if (!proof) return cb(new Error('No proof available for this index'))
@@ -636,6 +930,227 @@ Feed.prototype.proof = function (index, opts, cb) {
   }
 }
 
+Feed.prototype._rangeProof = function (start, end, cb) {
+  var proof = this.tree.rangeProof(start, end)
+  if (!proof) return process.nextTick(cb, new Error('No proof available for this range'))
+
+  var pending = proof.nodes.length + (this.live ? 1 : 0)
+  var error = null
+  var signature = null
+  var nodes = new Array(proof.nodes.length)
+
+  if (!pending) return process.nextTick(cb, null, { nodes: nodes, signature: null })
+
+  for (var i = 0; i < proof.nodes.length; i++) {
+    this._storage.getNode(proof.nodes[i], onnode)
+  }
+  if (this.live) {
+    this._storage.getSignature(proof.verifiedBy / 2 - 1, onsignature)
+  }
+
+  function onsignature (err, sig) {
+    if (sig) signature = sig
+    onnode(err, null)
+  }
+
+  function onnode (err, node) {
+    if (err) error = err
+
+    if (node) {
+      nodes[proof.nodes.indexOf(node.index)] = node
+    }
+
+    if (--pending) return
+    if (error) return cb(error)
+    cb(null, { nodes: nodes, signature: signature })
+  }
+}
+
+// Switches to the given algorithms, unless the feed was explicitly opened with other ones
+Feed.prototype._setAlgorithms = function (hashName, signatureName) {
+  if (!hashName) hashName = algorithms.DEFAULT_HASH
+  if (!signatureName) signatureName = algorithms.DEFAULT_SIGNATURE
+
+  if (hashName === this.hashAlgorithm && signatureName === this.signatureAlgorithm) return null
+
+  if (this._algorithmsSet) {
+    return new Error('Feed uses ' + hashName + ' and ' + signatureName + ', not ' + this.hashAlgorithm + ' and ' + this.signatureAlgorithm)
+  }
+
+  var hash = algorithms.hash(hashName)
+  var signature = algorithms.signature(signatureName)
+
+  if (!hash) return new Error('Unknown hash algorithm: ' + hashName)
+  if (!signature) return new Error('Unknown signature algorithm: ' + signatureName)
+
+  this._hash = hash
+  this._signature = signature
+  this.hashAlgorithm = hash.name
+  this.signatureAlgorithm = signature.name
+  if (!this._customCrypto) this.crypto = defaultCrypto(signature)
+
+  return null
+}
+
+Feed.prototype._sendAlgorithms = function (peer) {
+  this._algorithmsExtension.send({
+    hash: this.hashAlgorithm,
+    signature: this.signatureAlgorithm,
+    adopt: this._canAdoptAlgorithms()
+  }, peer)
+}
+
+// An empty readonly feed that was not given any algorithms adopts the ones of its peers
+Feed.prototype._canAdoptAlgorithms = function () {
+  return !this.writable && !this.length && !this._algorithmsSet
+}
+
+// Peers using other algorithms are disconnected, as their data would never verify,
+// unless one of the two sides is going to adopt the algorithms of the other.
+Feed.prototype._onalgorithms = function (message, from) {
+  if (!message || typeof message.hash !== 'string' || typeof message.signature !== 'string') return
+  if (message.hash === this.hashAlgorithm && message.signature === this.signatureAlgorithm) return
+  if (message.adopt === true && !this._canAdoptAlgorithms()) return
+
+  var adopt = this._canAdoptAlgorithms() && message.adopt !== true && algorithms.isBuiltin(message.hash, message.signature)
+  if (!adopt) return from.destroy(new Error('Remote uses ' + message.hash + ' and ' + message.signature))
+
+  // any peer can claim any algorithms, so they are only stored once data signed by the key verifies with them
+  this._setAlgorithms(message.hash, message.signature)
+  this._algorithmsAdopted = true
+}
+
+// Stores the adopted algorithms, called before writing the first data that verified with them
+Feed.prototype._confirmAlgorithms = function (cb) {
+  if (!this._algorithmsAdopted) return process.nextTick(cb, null)
+  this._algorithmsAdopted = false
+  this._storage.putAlgorithms(this.hashAlgorithm, this.signatureAlgorithm, cb)
+}
+
+Feed.prototype.addWriter = function (key, cb) {
+  if (typeof key === 'string') key = Buffer.from(key, 'hex')
+
+  this._changeWriters(function (writers) {
+    if (!Buffer.isBuffer(key) || key.length !== 32) return new Error('Writer key must be a 32 byte public key')
+    if (indexOfKey(writers, key) === -1) writers.push(key)
+    return null
+  }, cb)
+}
+
+Feed.prototype.removeWriter = function (key, cb) {
+  if (typeof key === 'string') key = Buffer.from(key, 'hex')
+
+  var self = this
+
+  this._changeWriters(function (writers) {
+    if (!Buffer.isBuffer(key)) return new Error('Writer key must be a 32 byte public key')
+    if (key.equals(self.key)) return new Error('The feed key cannot be removed from the writers')
+    var i = indexOfKey(writers, key)
+    if (i > -1) writers.splice(i, 1)
+    return null
+  }, cb)
+}
+
+// Signs a new manifest with the writers changed by fn. Only the holder of the feed's secret key can do that.
+// The first change turns the feed into a multi-writer feed, with the feed key as its first writer.
+Feed.prototype._changeWriters = function (fn, cb) {
+  if (!cb) cb = noop
+
+  var self = this
+
+  this.ready(function (err) {
+    if (err) return cb(err)
+    if (!self.secretKey) return cb(new Error('Only the owner of the feed can change its writers'))
+
+    var writers = self.writers ? self.writers.slice(0) : [self.key]
+    var error = fn(writers)
+    if (error) return cb(error)
+
+    var next = {
+      version: self._manifest ? self._manifest.version + 1 : 1,
+      writers: writers,
+      signature: null
+    }
+
+    self.crypto.sign(manifest.signable(next), self.secretKey, function (err, signature) {
+      if (err) return cb(err)
+      next.signature = signature
+      self._putManifest(next, null, cb)
+    })
+  })
+}
+
+// Switches to a verified manifest, stores it and passes it on to all peers but the one it came from
+Feed.prototype._putManifest = function (next, from, cb) {
+  var self = this
+
+  this._setManifest(next)
+  this._storage.upgradeSignatures(this.length, this.key, function (err) {
+    if (err) return cb(err)
+
+    self._storage.putManifest(manifest.encode(next), function (err) {
+      if (err) return cb(err)
+
+      for (var i = 0; i < self.peers.length; i++) {
+        if (self.peers[i] !== from) self._sendManifest(self.peers[i])
+      }
+
+      self.emit('writers', self.writers)
+      cb(null)
+    })
+  })
+}
+
+Feed.prototype._setManifest = function (next) {
+  var wasWritable = this.writable
+
+  this._manifest = next
+  this.writers = next.writers
+  this.writable = !!this.secretKey || this._isWriter()
+
+  // appends from the other writers have to be downloaded
+  if (!this._downloadingSet && !this.downloading) {
+    this.downloading = true
+    for (var i = 0; i < this.peers.length; i++) this.peers[i].setDownloading(true)
+  }
+
+  if (this.writable && !wasWritable) this._merkle = null // might be outdated, reload it before appending
+}
+
+// The key pair appends are signed with, either the feed key pair or the writer key pair of this device
+Feed.prototype._signer = function () {
+  if (this.secretKey) return { publicKey: this.key, secretKey: this.secretKey }
+  if (this._isWriter()) return this._writerKeyPair
+  return null
+}
+
+Feed.prototype._isWriter = function () {
+  return !!(this.writers && this._writerKeyPair && indexOfKey(this.writers, this._writerKeyPair.publicKey) > -1)
+}
+
+Feed.prototype._sendManifest = function (peer) {
+  if (this._manifest) this._manifestExtension.send(manifest.encode(this._manifest), peer)
+}
+
+Feed.prototype._onmanifest = function (message, from) {
+  var self = this
+  var next = manifest.decode(message)
+
+  if (!next || !this.key || !this._isNewerManifest(next)) return
+
+  this.crypto.verify(manifest.signable(next), next.signature, this.key, function (err, valid) {
+    if (err || !valid || !self._isNewerManifest(next)) return
+
+    self._putManifest(next, from, function (err) {
+      if (err) self.emit('error', err)
+    })
+  })
+}
+
+Feed.prototype._isNewerManifest = function (next) {
+  return !this._manifest || next.version > this._manifest.version
+}
+
 Feed.prototype._readyAndProof = function (index, opts, cb) {
   var self = this
   this.ready(function (err) {
@@ -649,6 +1164,233 @@ Feed.prototype.put = function (index, data, proof, cb) {
   this._putBuffer(index, data === null ? null : this._codec.encode(data), proof, null, cb)
 }
 
+Feed.prototype.putBatch = function (start, batch, proof, cb) {
+  if (!cb) cb = noop
+  if (!this.opened) return this._readyAndPutBatch(start, batch, proof, cb)
+  if (!batch.length) return process.nextTick(cb, null)
+
+  var buffers = new Array(batch.length)
+  for (var i = 0; i < batch.length; i++) buffers[i] = this._codec.encode(batch[i])
+
+  this._putBatch(start, buffers, proof, null, cb)
+}
+
+Feed.prototype._readyAndPutBatch = function (start, batch, proof, cb) {
+  var self = this
+  this.ready(function (err) {
+    if (err) return cb(err)
+    self.putBatch(start, batch, proof, cb)
+  })
+}
+
+// Verifies a range proof from feed.proof({ start, end }) by hashing all the blocks up to the roots,
+// so the whole range only needs a single signature check.
+Feed.prototype._putBatch = function (start, batch, proof, from, cb) {
+  var self = this
+  var range = hashRange(start, batch, proof.nodes, this._hash)
+
+  if (!range) return process.nextTick(cb, invalidData('checksum', 'Invalid range proof'))
+
+  var roots = range.roots
+  var length = range.length
+  var signature = null
+
+  this._trustedRoots(roots, function (err, trusted) {
+    if (err) return cb(err)
+    if (trusted) return write()
+
+    var checksum = self._hash.signable(roots, length)
+
+    if (self.length && self.live && !proof.signature) {
+      return cb(invalidData('signature', 'Remote did not include a signature'))
+    }
+
+    if (!proof.signature) {
+      if (Buffer.compare(checksum.slice(0, 32), self.key) !== 0) return cb(invalidData('checksum', 'Remote checksum failed'))
+      return write()
+    }
+
+    verifyCompat(self, checksum, proof.signature, function (err, valid, signer) {
+      if (err) return cb(err)
+      if (!valid) return cb(invalidData('signature', 'Remote signature could not be verified'))
+
+      self.live = true
+      signature = { index: length - 1, signature: proof.signature, signer: signer }
+      write()
+    })
+  })
+
+  function write () {
+    if (self._algorithmsAdopted) return self._confirmAlgorithms(onconfirmed)
+
+    if (length > self.length) {
+      if (self.writable) self._merkle = null // We need to reload merkle state now
+      self.length = length
+      self._seq = length
+      self.byteLength = roots.reduce(addSize, 0)
+      if (self._synced) self._synced.seek(0, self.length)
+      self.emit('append')
+    }
+
+    self._writeBatch(start, batch, range.byteOffset, range.nodes, signature, from, cb)
+  }
+
+  function onconfirmed (err) {
+    if (err) return cb(err)
+    write()
+  }
+}
+
+// Verifies a block with a proof that has all the nodes up to the roots, without using our tree. Calls back with
+// { length, signer } if a writer signed those roots, i.e. the block is from another version of a multi-writer feed
+Feed.prototype._verifyFork = function (index, data, proof, cb) {
+  var range = data && proof.signature && hashRange(index, [data], proof.nodes, this._hash)
+  if (!range) return process.nextTick(cb, null, null)
+
+  verifyCompat(this, this._hash.signable(range.roots, range.length), proof.signature, function (err, valid, signer) {
+    if (err) return cb(err)
+    cb(null, valid ? { length: range.length, signer: signer } : null)
+  })
+}
+
+Feed.prototype.exportProof = function (start, end, cb) {
+  if (typeof end === 'function') return this.exportProof(start, start + 1, end)
+
+  var self = this
+
+  this.ready(function (err) {
+    if (err) return cb(err)
+
+    self.proof({ start: start, end: end }, function (err, proof) {
+      if (err) return cb(err)
+
+      if (!self.has(start, end)) return cb(new Error('Block not downloaded'))
+
+      // the proof covers the blocks as they are stored, so encrypted blocks are exported encrypted
+      self._storage.getDataBatch(start, end - start, function (err, blocks) {
+        if (err) return cb(err)
+
+        var rightSpan = 2 * (end - 1)
+        for (var i = 0; i < proof.nodes.length; i++) {
+          rightSpan = Math.max(rightSpan, flat.rightSpan(proof.nodes[i].index))
+        }
+
+        cb(null, proofBundle.encode({
+          key: self.key,
+          start: start,
+          length: rightSpan / 2 + 1,
+          blocks: blocks,
+          nodes: proof.nodes,
+          signature: proof.signature,
+          hash: self.hashAlgorithm,
+          signatureAlgorithm: self.signatureAlgorithm
+        }))
+      })
+    })
+  })
+}
+
+Feed.prototype.importProof = function (buf, cb) {
+  if (!cb) cb = noop
+
+  var self = this
+  var bundle = null
+
+  try {
+    bundle = proofBundle.decode(buf)
+  } catch (err) {
+    return process.nextTick(cb, err)
+  }
+
+  this.ready(function (err) {
+    if (err) return cb(err)
+    if (!bundle.key.equals(self.key)) return cb(new Error('Proof is for another feed'))
+    if (bundle.hash !== self.hashAlgorithm) return cb(new Error('Proof uses another hash algorithm'))
+    self._putBatch(bundle.start, bundle.blocks, bundle, null, cb)
+  })
+}
+
+// Calls back with true if all roots are already stored locally and match
+Feed.prototype._trustedRoots = function (roots, cb) {
+  var pending = roots.length
+  var trusted = true
+  var error = null
+
+  for (var i = 0; i < roots.length; i++) {
+    if (!this.tree.get(roots[i].index)) return process.nextTick(cb, null, false)
+  }
+
+  for (i = 0; i < roots.length; i++) {
+    this._storage.getNode(roots[i].index, onnode(roots[i]))
+  }
+
+  function onnode (root) {
+    return function (err, node) {
+      if (err) error = err
+      else if (!verifyNode(node, root)) trusted = false
+      if (--pending) return
+      if (error) return cb(error)
+      cb(null, trusted)
+    }
+  }
+}
+
+Feed.prototype._writeBatch = function (start, batch, byteOffset, nodes, sig, from, cb) {
+  var self = this
+  var i = 0
+
+  if (!this._onwrite) return write(null)
+  next(null)
+
+  function next (err) {
+    if (err) return cb(err)
+    if (i === batch.length) return write(null)
+    self._onwrite(start + i, batch[i++], from, next)
+  }
+
+  function write () {
+    if (self._compacting) return self._compacting.push(write)
+
+    var pending = nodes.length + 2 + (sig ? 1 : 0)
+    var error = null
+
+    self._writing++
+    cb = self._written.bind(self, cb)
+
+    for (var i = 0; i < nodes.length; i++) self._storage.putNode(nodes[i].index, nodes[i], ondone)
+    self._storage.writeData(byteOffset, Buffer.concat(batch), ondone)
+    if (sig) self._storage.putSignature(sig.index, sig.signature, sig.signer, ondone)
+    ondone(null)
+
+    function ondone (err) {
+      if (err) error = err
+      if (--pending) return
+      if (error) return cb(error)
+      self._writeBatchDone(start, batch, nodes, from, cb)
+    }
+  }
+}
+
+Feed.prototype._writeBatchDone = function (start, batch, nodes, from, cb) {
+  var i = 0
+
+  for (i = 0; i < nodes.length; i++) this.tree.set(nodes[i].index)
+
+  for (i = 0; i < batch.length; i++) {
+    if (!this.bitfield.set(start + i, true)) continue
+    if (this._stats) {
+      this._stats.downloadedBlocks += 1
+      this._stats.downloadedBytes += batch[i].length
+    }
+    this.emit('download', start + i, batch[i], from)
+  }
+
+  if (this.peers.length) this._announce({ start: start, length: batch.length }, from)
+  if (!this.writable) this._checkSynced()
+
+  this._sync(null, cb)
+}
+
 Feed.prototype.cancel = function (start, end) { // TODO: use same argument scheme as download
   if (typeof start !== 'symbol') {
     if (!end) end = start + 1
@@ -675,8 +1417,8 @@ Feed.prototype._cancel = function (start, end) {
       const w = this._waiting[i]
       if (w.options.cancel === start) {
         remove(this._waiting, i)
-        this._reserved.set(w.index, false)
-        if (w.callback) process.nextTick(w.callback, new Error('Request cancelled'))
+        this._cancelUnwanted(w.index, w.index + 1)
+        if (w.callback) process.nextTick(w.callback, createError('ECANCELED', -11, 'Request cancelled'))
         this._updatePeers()
         return
       }
@@ -684,17 +1426,94 @@ Feed.prototype._cancel = function (start, end) {
     return
   }
 
-  for (i = start; i < end; i++) {
-    this._reserved.set(i, false) // TODO: send cancel message if set returns true
-  }
-
   for (i = this._waiting.length - 1; i >= 0; i--) {
     var w = this._waiting[i]
     if ((start <= w.start && w.end <= end) || (start <= w.index && w.index < end)) {
       remove(this._waiting, i)
-      if (w.callback) process.nextTick(w.callback, new Error('Request cancelled'))
+      if (w.callback) process.nextTick(w.callback, createError('ECANCELED', -11, 'Request cancelled'))
+    }
+  }
+
+  this._cancelUnwanted(start, end)
+}
+
+// Wraps the callback of a waiting operation so it stops listening to its signal once it is called back
+Feed.prototype._abortable = function (signal, cb) {
+  if (!signal) return cb
+
+  var self = this
+
+  signal.addEventListener('abort', onabort)
+
+  return function (err, a, b) {
+    signal.removeEventListener('abort', onabort)
+    cb(err, a, b)
+  }
+
+  function onabort () {
+    self._abort(signal)
+  }
+}
+
+// Stops the gets, updates, seeks and downloads waiting with this signal, calling them back with ECANCELED
+Feed.prototype._abort = function (signal) {
+  var i = 0
+
+  for (i = this._selections.length - 1; i >= 0; i--) {
+    if (this._selections[i].signal === signal) this.undownload(this._selections[i])
+  }
+
+  for (i = this._waiting.length - 1; i >= 0; i--) {
+    var w = this._waiting[i]
+    if (w.signal !== signal) continue
+
+    remove(this._waiting, i)
+    if (w.bytes) this._cancelBytes(w.bytes)
+    else this._cancelUnwanted(w.index, w.index + 1)
+    process.nextTick(w.callback, abortedError())
+  }
+
+  this._updatePeers()
+}
+
+Feed.prototype._cancelBytes = function (bytes) {
+  for (var i = 0; i < this._waiting.length; i++) {
+    if (this._waiting[i].bytes === bytes) return
+  }
+
+  for (i = 0; i < this.peers.length; i++) this.peers[i].cancelBytes(bytes)
+}
+
+// Tells the peers to stop sending blocks in a range that no get, update, seek or download waits for anymore
+Feed.prototype._cancelUnwanted = function (start, end) {
+  for (var i = 0; i < this.peers.length; i++) this.peers[i].cancel(start, end)
+}
+
+// Whether anything is waiting for a block in the range
+Feed.prototype._isWanted = function (start, end) {
+  var i = 0
+
+  for (i = 0; i < this._waiting.length; i++) {
+    var w = this._waiting[i]
+    if (w.index === -1 ? overlaps(w.start, w.end, start, end) : (start <= w.index && w.index < end)) return true
+  }
+
+  for (i = 0; i < this._selections.length; i++) {
+    var s = this._selections[i]
+    if (!s.blocks) {
+      if (overlaps(s.start, s.end, start, end)) return true
+      continue
+    }
+    for (var j = 0; j < s.blocks.length; j++) {
+      if (start <= s.blocks[j] && s.blocks[j] < end) return true
     }
   }
+
+  for (i = 0; i < this._replicatedWaiting.length; i++) {
+    if (overlaps(this._replicatedWaiting[i].start, this._replicatedWaiting[i].end, start, end)) return true
+  }
+
+  return false
 }
 
 Feed.prototype.clear = function (start, end, opts, cb) { // TODO: use same argument scheme as download
@@ -711,8 +1530,9 @@ Feed.prototype.clear = function (start, end, opts, cb) { // TODO: use same argum
   var byteOffset = start === 0 ? 0 : (typeof opts.byteOffset === 'number' ? opts.byteOffset : -1)
   var byteLength = typeof opts.byteLength === 'number' ? opts.byteLength : -1
 
-  this.ready(function (err) {
+  this.ready(function onready (err) {
     if (err) return cb(err)
+    if (self._compacting) return self._compacting.push(onready.bind(null, null))
 
     var modified = false
 
@@ -746,12 +1566,277 @@ Feed.prototype.clear = function (start, end, opts, cb) { // TODO: use same argum
 
     function onendbytes (err, end) {
       if (err) return cb(err)
-      if (!self._storage.data.del) return sync() // Not all data storage impls del
-      self._storage.data.del(byteOffset, end - byteOffset, sync)
+      self._storage.delData(byteOffset, end - byteOffset, sync)
     }
   })
 }
 
+Feed.prototype.compact = function (cb) {
+  if (!cb) cb = noop
+
+  var self = this
+
+  this.ready(function onready (err) {
+    if (err) return cb(err)
+    if (self._compacting) return self._compacting.push(onready.bind(null, null))
+
+    // appends, downloads and clears wait until the ranges are resolved, and the writes
+    // already started have to set their bits first, or their data would be dropped
+    self._compacting = []
+    if (self._writing) self._onwritten = onwritten
+    else onwritten()
+  })
+
+  function onwritten () {
+    var blocks = []
+    var ranges = []
+    var start = -1
+
+    for (var i = 0; i <= self.length; i++) {
+      var has = i < self.length && self.bitfield.get(i)
+      if (has && start === -1) start = i
+      if (!has && start > -1) {
+        blocks.push({ start: start, end: i })
+        start = -1
+      }
+    }
+
+    loop(null)
+
+    // resolve the byte ranges of all the blocks we have, one run at a time
+    function loop (err) {
+      if (err) return done(err)
+      if (ranges.length === blocks.length) {
+        // the storage queues the data reads and writes from here on
+        self._storage.compact(ranges, self.byteLength, cb)
+        return done(null)
+      }
+
+      var run = blocks[ranges.length]
+
+      self._storage.dataOffset(run.start, [], function (err, offset) {
+        if (err) return loop(err)
+        self._storage.dataOffset(run.end - 1, [], function (err, last, size) {
+          if (err) return loop(err)
+          ranges.push({ start: offset, end: last + size })
+          loop(null)
+        })
+      })
+    }
+  }
+
+  function done (err) {
+    var queued = self._compacting
+    self._compacting = null
+    for (var i = 0; i < queued.length; i++) queued[i]()
+    if (err) cb(err)
+  }
+}
+
+Feed.prototype._written = function (cb, err) {
+  if (!--this._writing && this._onwritten) {
+    var onwritten = this._onwritten
+    this._onwritten = null
+    onwritten()
+  }
+  cb(err)
+}
+
+Feed.prototype.truncate = function (length, cb) {
+  if (!cb) cb = noop
+  if (!this.opened) return this._readyAndTruncate(length, cb)
+  if (!this.writable) return process.nextTick(cb, new Error('This feed is not writable. Did you create it?'))
+  if (!this.live) return process.nextTick(cb, new Error('Only live feeds can be truncated'))
+  if (length > this.length) return process.nextTick(cb, new Error('Cannot truncate past the end of the feed'))
+  if (length === this.length) return process.nextTick(cb, null)
+
+  var self = this
+
+  this._truncate(length, this.fork + 1, function (err) {
+    if (err) return cb(err)
+    self._roots(self.length, onroots)
+  })
+
+  function onroots (err, roots) {
+    if (err) return cb(err)
+
+    // the old head signature was dropped, so sign the new head
+    self._merkle = merkle(self._hash, roots)
+    if (!self.length) return onsigned(null)
+
+    var signer = self._signer()
+
+    self.crypto.sign(self._hash.signable(roots, self.length), signer.secretKey, function (err, sig) {
+      if (err) return cb(err)
+      self._storage.putSignature(self.length - 1, sig, signer.publicKey, onsigned)
+    })
+  }
+
+  function onsigned (err) {
+    if (err) return cb(err)
+
+    self._signTruncation(self._getFork(self.fork), function (err, message) {
+      if (err) return cb(err)
+      for (var i = 0; i < self.peers.length; i++) self._truncationExtension.send(message, self.peers[i])
+      cb(null)
+    })
+  }
+}
+
+Feed.prototype._readyAndTruncate = function (length, cb) {
+  var self = this
+  this.ready(function (err) {
+    if (err) return cb(err)
+    self.truncate(length, cb)
+  })
+}
+
+// drops everything at or after length from the bitfields and storage and moves the feed to a new fork
+Feed.prototype._truncate = function (length, fork, cb) {
+  var self = this
+  var oldLength = this.length
+  var oldByteLength = this.byteLength
+
+  for (var i = length; i < oldLength; i++) this.bitfield.set(i, false)
+  this.tree.truncate(length)
+
+  for (i = 0; i < this.peers.length; i++) this.peers[i].truncate(length)
+
+  if (fork !== this.fork) {
+    this.fork = fork
+    this._forkLength = length
+    if (!this._getFork(fork)) this._addFork(fork, length, null)
+  }
+
+  this.length = Math.min(length, this.tree.blocks())
+  this._seq = this.length
+  if (this._synced) this._synced.seek(0, this.length)
+
+  if (length >= oldLength) onbyteoffset(null, -1)
+  else this._storage.dataOffset(length, [], onbyteoffset)
+
+  function onbyteoffset (err, byteOffset) {
+    if (err) byteOffset = -1 // we might not have the roots for length in a sparse feed
+
+    var pending = 3
+    var error = null
+
+    self._storage.truncate(length, oldLength, byteOffset, oldByteLength, done)
+    self._storage.putFork(self.fork, self._forkLength, done)
+    if (self._forks.length) self._storage.putForks(self._forks, done)
+    else done(null)
+
+    function done (err) {
+      if (err) error = err
+      if (--pending) return
+      if (error) return cb(error)
+      self._roots(self.length, onroots)
+    }
+  }
+
+  function onroots (err, roots) {
+    if (err) return cb(err)
+
+    self.byteLength = roots.reduce(addSize, 0)
+    if (length < oldLength) self.emit('truncate', length, oldLength)
+
+    self._sync(null, cb)
+  }
+}
+
+Feed.prototype._getFork = function (fork) {
+  for (var i = 0; i < this._forks.length; i++) {
+    if (this._forks[i].fork === fork) return this._forks[i]
+  }
+  return null
+}
+
+Feed.prototype._addFork = function (fork, length, signature) {
+  var entry = { fork: fork, length: length, signature: signature }
+  var i = this._forks.length
+
+  while (i > 0 && this._forks[i - 1].fork > fork) i--
+  this._forks.splice(i, 0, entry)
+  return entry
+}
+
+// the fork the block at index was written in, the last one that truncated the feed to index or below
+Feed.prototype._blockFork = function (index) {
+  var fork = 0
+
+  for (var i = 0; i < this._forks.length; i++) {
+    if (this._forks[i].length <= index && this._forks[i].fork > fork) fork = this._forks[i].fork
+  }
+
+  return fork
+}
+
+Feed.prototype._signTruncation = function (entry, cb) {
+  var self = this
+
+  if (entry.signature) return process.nextTick(cb, null, encodeTruncation(entry.fork, entry.length, entry.signature))
+
+  this.crypto.sign(truncationSignable(entry.fork, entry.length), this._signer().secretKey, function (err, sig) {
+    if (err) return cb(err)
+    entry.signature = sig
+    self._storage.putForks(self._forks, function (err) {
+      if (err) return cb(err)
+      cb(null, encodeTruncation(entry.fork, entry.length, sig))
+    })
+  })
+}
+
+// sends every truncation, so peers that missed some still know which fork each block was written in
+Feed.prototype._sendTruncation = function (peer) {
+  var self = this
+
+  for (var i = 0; i < this._forks.length; i++) {
+    var entry = this._forks[i]
+    if (entry.signature) this._truncationExtension.send(encodeTruncation(entry.fork, entry.length, entry.signature), peer)
+    else if (this.writable) this._signTruncation(entry, onsigned)
+  }
+
+  function onsigned (err, message) {
+    if (err) return self.emit('error', err)
+    if (peer.stream) self._truncationExtension.send(message, peer)
+  }
+}
+
+Feed.prototype._ontruncation = function (message, from) {
+  var self = this
+  var truncation = decodeTruncation(message)
+
+  if (!truncation || this._knowsTruncation(truncation.fork)) return
+
+  var signable = truncationSignable(truncation.fork, truncation.length)
+
+  verifyWriters(this, signable, truncation.signature, function (err, valid) {
+    if (err || !valid || self._knowsTruncation(truncation.fork)) return
+
+    var entry = self._getFork(truncation.fork)
+    if (entry) entry.signature = truncation.signature
+    else self._addFork(truncation.fork, truncation.length, truncation.signature)
+
+    // an older truncation we missed only tells us which fork blocks were written in
+    if (truncation.fork <= self.fork) self._storage.putForks(self._forks, onstored)
+    else self._truncate(Math.min(truncation.length, self.length), truncation.fork, onstored)
+  })
+
+  function onstored (err) {
+    if (err) return self.emit('error', err)
+
+    // pass it on so peers that are only connected to us also move to the new fork
+    for (var i = 0; i < self.peers.length; i++) {
+      if (self.peers[i] !== from) self._truncationExtension.send(message, self.peers[i])
+    }
+  }
+}
+
+Feed.prototype._knowsTruncation = function (fork) {
+  var entry = this._getFork(fork)
+  return !!(entry && entry.signature)
+}
+
 Feed.prototype.signature = function (index, cb) {
   if (typeof index === 'function') return this.signature(this.length - 1, index)
 
@@ -766,7 +1851,7 @@ Feed.prototype.verify = function (index, signature, cb) {
   this.rootHashes(index, function (err, roots) {
     if (err) return cb(err)
 
-    var checksum = crypto.signable(roots, index + 1)
+    var checksum = self._hash.signable(roots, index + 1)
 
     verifyCompat(self, checksum, signature, function (err, valid) {
       if (err) return cb(err)
@@ -785,6 +1870,7 @@ Feed.prototype.rootHashes = function (index, cb) {
 Feed.prototype.seek = function (bytes, opts, cb) {
   if (typeof opts === 'function') return this.seek(bytes, null, opts)
   if (!opts) opts = {}
+  if (opts.signal && opts.signal.aborted) return process.nextTick(cb, abortedError())
   if (!this.opened) return this._readyAndSeek(bytes, opts, cb)
 
   var self = this
@@ -817,7 +1903,8 @@ Feed.prototype.seek = function (bytes, opts, cb) {
       end: end,
       want: toWantRange(start),
       requested: 0,
-      callback: cb || noop
+      signal: opts.signal || null,
+      callback: self._abortable(opts.signal, cb || noop)
     }
 
     self._waiting.push(w)
@@ -1015,14 +2102,19 @@ function writeHookDone (self, index, data, nodes, sig, from, cb) {
 }
 
 Feed.prototype._writeAfterHook = function (index, data, nodes, sig, from, cb) {
+  if (this._compacting) return this._compacting.push(this._writeAfterHook.bind(this, index, data, nodes, sig, from, cb))
+
   var self = this
   var pending = nodes.length + 1 + (sig ? 1 : 0)
   var error = null
 
+  this._writing++
+  cb = this._written.bind(this, cb)
+
   for (var i = 0; i < nodes.length; i++) this._storage.putNode(nodes[i].index, nodes[i], ondone)
   if (data) this._storage.putData(index, data, nodes, ondone)
   else ondone()
-  if (sig) this._storage.putSignature(sig.index, sig.signature, ondone)
+  if (sig) this._storage.putSignature(sig.index, sig.signature, sig.signer, ondone)
 
   function ondone (err) {
     if (err) error = err
@@ -1044,27 +2136,28 @@ Feed.prototype._writeDone = function (index, data, nodes, from, cb) {
       }
       this.emit('download', index, data, from)
     }
-    if (this.peers.length) this._announce({ start: index }, from)
-
-    if (!this.writable) {
-      if (!this._synced) this._synced = this.bitfield.iterator(0, this.length)
-      if (this._synced.next() === -1) {
-        this._synced.range(0, this.length)
-        this._synced.seek(0)
-        if (this._synced.next() === -1) {
-          this.emit('sync')
-        }
-      }
-    }
+    if (this.peers.length) this._announce({ start: index }, from)
+    if (!this.writable) this._checkSynced()
   }
 
   this._sync(null, cb)
 }
 
+Feed.prototype._checkSynced = function () {
+  if (!this._synced) this._synced = this.bitfield.iterator(0, this.length)
+  if (this._synced.next() === -1) {
+    this._synced.range(0, this.length)
+    this._synced.seek(0)
+    if (this._synced.next() === -1) {
+      this.emit('sync')
+    }
+  }
+}
+
 Feed.prototype._verifyAndWrite = function (index, data, proof, localNodes, trustedNode, from, cb) {
   var visited = []
   var remoteNodes = proof.nodes
-  var top = data ? new storage.Node(2 * index, crypto.data(data), data.length) : remoteNodes.shift()
+  var top = data ? new storage.Node(2 * index, this._hash.data(data), data.length) : remoteNodes.shift()
 
   // check if we already have the hash for this node
   if (verifyNode(trustedNode, top)) {
@@ -1089,7 +2182,7 @@ Feed.prototype._verifyAndWrite = function (index, data, proof, localNodes, trust
     }
 
     visited.push(top)
-    top = new storage.Node(flat.parent(top.index), crypto.parent(top, node), top.size + node.size)
+    top = new storage.Node(flat.parent(top.index), this._hash.parent(top, node), top.size + node.size)
 
     // the tree checks out, write the data and the visited nodes
     if (verifyNode(trustedNode, top)) {
@@ -1109,30 +2202,32 @@ Feed.prototype._verifyRootsAndWrite = function (index, data, top, proof, nodes,
   this._getRootsToVerify(verifiedBy, top, remoteNodes, function (err, roots, extraNodes) {
     if (err) return cb(err)
 
-    var checksum = crypto.signable(roots, length)
+    var checksum = self._hash.signable(roots, length)
     var signature = null
 
     if (self.length && self.live && !proof.signature) {
-      return cb(new Error('Remote did not include a signature'))
+      return cb(invalidData('signature', 'Remote did not include a signature'))
     }
 
     if (proof.signature) { // check signatures
-      verifyCompat(self, checksum, proof.signature, function (err, valid) {
+      verifyCompat(self, checksum, proof.signature, function (err, valid, signer) {
         if (err) return cb(err)
-        if (!valid) return cb(new Error('Remote signature could not be verified'))
+        if (!valid) return cb(invalidData('signature', 'Remote signature could not be verified'))
 
-        signature = { index: verifiedBy / 2 - 1, signature: proof.signature }
+        signature = { index: verifiedBy / 2 - 1, signature: proof.signature, signer: signer }
         write()
       })
     } else { // check tree root
       if (Buffer.compare(checksum.slice(0, 32), self.key) !== 0) {
-        return cb(new Error('Remote checksum failed'))
+        return cb(invalidData('checksum', 'Remote checksum failed'))
       }
 
       write()
     }
 
     function write () {
+      if (self._algorithmsAdopted) return self._confirmAlgorithms(onconfirmed)
+
       self.live = !!signature
 
       if (length > self.length) {
@@ -1147,6 +2242,11 @@ Feed.prototype._verifyRootsAndWrite = function (index, data, top, proof, nodes,
 
       self._write(index, data, nodes.concat(extraNodes), signature, from, cb)
     }
+
+    function onconfirmed (err) {
+      if (err) return cb(err)
+      write()
+    }
   })
 }
 
@@ -1167,7 +2267,7 @@ Feed.prototype._getRootsToVerify = function (verifiedBy, top, remoteNodes, cb) {
     } else if (this.tree.get(indexes[i])) {
       this._storage.getNode(indexes[i], onnode)
     } else {
-      onnode(new Error('Missing tree roots needed for verify'))
+      onnode(invalidData('checksum', 'Missing tree roots needed for verify'))
     }
   }
 
@@ -1187,7 +2287,8 @@ Feed.prototype._getRootsToVerify = function (verifiedBy, top, remoteNodes, cb) {
 Feed.prototype._announce = function (message, from) {
   for (var i = 0; i < this.peers.length; i++) {
     var peer = this.peers[i]
-    if (peer !== from) peer.have(message)
+    // the peer we got the block from has it, but one that is not downloading only wants haves to see what we replicated
+    if (peer !== from || !peer.remoteDownloading) peer.have(message)
   }
 }
 
@@ -1214,6 +2315,55 @@ Feed.prototype.has = function (start, end, cb) {
   return res
 }
 
+// Calls back once at least opts.peers connected peers acked or announced every block in the range,
+// for example before clearing data that has to be kept somewhere
+Feed.prototype.replicated = function (opts, cb) {
+  if (typeof opts === 'function') return this.replicated(null, opts)
+  if (!opts) opts = {}
+
+  var self = this
+
+  this.ready(function (err) {
+    if (err) return cb(err)
+
+    var w = {
+      start: opts.start || 0,
+      end: typeof opts.end === 'number' && opts.end > -1 ? opts.end : self.length,
+      peers: opts.peers || 1,
+      timeout: null,
+      callback: cb
+    }
+
+    if (opts.timeout) {
+      w.timeout = setTimeout(function () {
+        remove(self._replicatedWaiting, self._replicatedWaiting.indexOf(w))
+        cb(createError('ETIMEDOUT', -110, 'Range was not replicated to enough peers in time'))
+      }, opts.timeout)
+    }
+
+    self._replicatedWaiting.push(w)
+    for (var i = 0; i < self.peers.length; i++) self.peers[i]._sendReplicatedWants()
+    self._checkReplicated()
+  })
+}
+
+Feed.prototype._checkReplicated = function () {
+  for (var i = 0; i < this._replicatedWaiting.length; i++) {
+    var w = this._replicatedWaiting[i]
+    var peers = []
+
+    for (var j = 0; j < this.peers.length; j++) {
+      if (this.peers[j]._hasRange(w.start, w.end)) peers.push(this.peers[j])
+    }
+
+    if (peers.length < w.peers) continue
+
+    remove(this._replicatedWaiting, i--)
+    clearTimeout(w.timeout)
+    w.callback(null, peers)
+  }
+}
+
 Feed.prototype.head = function (opts, cb) {
   if (typeof opts === 'function') return this.head({}, opts)
   var self = this
@@ -1235,6 +2385,11 @@ Feed.prototype.get = function (index, opts, cb) {
   opts = { ...opts }
   if (!opts.cancel) opts.cancel = Symbol('ddatabase-get')
 
+  if (opts.signal && opts.signal.aborted) {
+    process.nextTick(cb, abortedError())
+    return opts.cancel
+  }
+
   if (!this.opened) return this._readyAndGet(index, opts, cb)
 
   if (!this.readable) {
@@ -1247,7 +2402,16 @@ Feed.prototype.get = function (index, opts, cb) {
   if (!this.bitfield.get(index)) {
     if (opts && opts.wait === false) return process.nextTick(cb, new Error('Block not downloaded'))
 
-    var w = { bytes: 0, hash: false, index: index, options: opts, requested: 0, callback: cb }
+    var w = {
+      bytes: 0,
+      hash: false,
+      index: index,
+      options: opts,
+      requested: 0,
+      signal: opts.signal || null,
+      callback: this._abortable(opts.signal, cb)
+    }
+
     this._waiting.push(w)
 
     if (opts && typeof opts.ifAvailable === 'boolean' ? opts.ifAvailable : this._alwaysIfAvailable) this._ifAvailableGet(w)
@@ -1263,6 +2427,7 @@ Feed.prototype.get = function (index, opts, cb) {
 
   if (opts && opts.valueEncoding) cb = wrapCodec(toCodec(opts.valueEncoding), cb)
   else if (this._codec !== codecs.binary) cb = wrapCodec(this._codec, cb)
+  if (this._encryption) cb = wrapDecryption(this._encryption, this._blockFork(index), index, cb)
 
   this._getBuffer(index, cb)
   return opts.cancel
@@ -1296,8 +2461,10 @@ Feed.prototype.getBatch = function (start, end, opts, cb) {
 }
 
 Feed.prototype._getBatch = function (start, end, opts, cb) {
+  var self = this
   var enc = opts && opts.valueEncoding
   var codec = enc ? toCodec(enc) : this._codec
+  var encryption = this._encryption
 
   this._storage.getDataBatch(start, end - start, onbatch)
 
@@ -1307,8 +2474,9 @@ Feed.prototype._getBatch = function (start, end, opts, cb) {
     var batch = new Array(buffers.length)
 
     for (var i = 0; i < buffers.length; i++) {
+      var buf = encryption ? encryption.decrypt(self._blockFork(start + i), start + i, buffers[i]) : buffers[i]
       try {
-        batch[i] = codec ? codec.decode(buffers[i]) : buffers[i]
+        batch[i] = codec ? codec.decode(buf) : buf
       } catch (err) {
         return cb(err)
       }
@@ -1326,6 +2494,18 @@ Feed.prototype._readyAndGetBatch = function (start, end, opts, cb) {
   })
 }
 
+Feed.prototype.snapshot = function () {
+  return new Snapshot(this)
+}
+
+Feed.prototype.iterate = function (opts) {
+  return new FeedPromises.BlockIterator(this, opts)
+}
+
+Feed.prototype.createReader = function (opts) {
+  return new Reader(this, opts)
+}
+
 Feed.prototype._updatePeers = function () {
   for (var i = 0; i < this.peers.length; i++) this.peers[i].update()
 }
@@ -1367,8 +2547,16 @@ Feed.prototype.createReadStream = function (opts) {
   var batchEnd = 0
   var batchLimit = 0
 
+  // reverse, stepped and listed reads know their order once the length is known, see ordered()
+  var reverse = !!opts.reverse
+  var step = opts.step || 1
+  var blocks = opts.blocks ? opts.blocks.slice(0) : null
+  var order = reverse || step > 1 || !!blocks
+
+  if (live && order) throw new Error('Live streams cannot use reverse, step or blocks')
+
   var first = true
-  var range = this.download({ start: start, end: end, linear: true })
+  var range = order ? null : this.download({ start: start, end: end, linear: true })
 
   var stream = from.obj(read).on('end', cleanup).on('close', cleanup)
   return stream
@@ -1376,6 +2564,7 @@ Feed.prototype.createReadStream = function (opts) {
   function read (size, cb) {
     if (!self.opened) return open(size, cb)
     if (!self.readable) return cb(new Error('Feed is closed'))
+    if (order) return ordered(cb)
 
     if (first) {
       if (end === -1) {
@@ -1421,6 +2610,46 @@ Feed.prototype.createReadStream = function (opts) {
     })
   }
 
+  // reads the blocks listed in blocks, which holds the remaining indexes of a stepped read too,
+  // or a range from its end. The download is made here so it covers the same blocks in the same order.
+  function ordered (cb) {
+    if (first) {
+      if (end === -1) end = self.length
+      if (!blocks && step > 1) blocks = steps(reverse ? end - 1 : start, reverse ? start - 1 : end, reverse ? -step : step)
+      if (blocks) range = blocks.length ? self.download({ blocks: blocks.slice(0) }) : null
+      else if (start < end) range = self.download({ start: start, end: end, reverse: true })
+      first = false
+    }
+
+    if (blocks) {
+      if (!blocks.length) return cb(null, null)
+      self.get(blocks.shift(), opts, cb)
+      return
+    }
+
+    if (end <= start) return cb(null, null)
+
+    var batchStart = Math.max(start, end - batch)
+
+    if (batchStart === end - 1 || !self.downloaded(batchStart, end)) {
+      self.get(setEnd(end - 1), opts, cb)
+      return
+    }
+
+    self.getBatch(batchStart, end, opts, function (err, result) {
+      if (err || result.length === 0) {
+        cb(err)
+        return
+      }
+
+      setEnd(batchStart)
+      for (var i = result.length - 1; i > 0; i--) {
+        stream.push(result[i])
+      }
+      cb(null, result[0])
+    })
+  }
+
   function cleanup () {
     if (!range) return
     self.undownload(range)
@@ -1434,6 +2663,12 @@ Feed.prototype.createReadStream = function (opts) {
     })
   }
 
+  function setEnd (value) {
+    end = value
+    if (range) range.end = end
+    return end
+  }
+
   function setStart (value) {
     var prevStart = start
     start = value
@@ -1445,10 +2680,93 @@ Feed.prototype.createReadStream = function (opts) {
   }
 }
 
+// Reads a range of bytes across block boundaries, for example to answer HTTP range requests.
+// Both ends are found with seek, then the blocks in between are downloaded in order while reading.
+Feed.prototype.createByteStream = function (opts) {
+  if (!opts) opts = {}
+
+  var self = this
+  var byteOffset = opts.byteOffset || 0
+  var byteLength = typeof opts.byteLength === 'number' ? opts.byteLength : -1
+  var getOpts = Object.assign({}, opts, { valueEncoding: 'binary' })
+  var index = 0
+  var offset = 0 // into the first block
+
+  var first = true
+  var range = null
+
+  var stream = from(read).on('end', cleanup).on('close', cleanup)
+  return stream
+
+  function read (size, cb) {
+    if (!self.opened) return open(size, cb)
+    if (!self.readable) return cb(new Error('Feed is closed'))
+    if (first) return seekRange(size, cb)
+    if (byteLength === 0) return cb(null, null)
+
+    self.get(setIndex(index + 1), getOpts, function (err, block) {
+      if (err) return cb(err)
+
+      if (offset) {
+        block = block.slice(offset)
+        offset = 0
+      }
+
+      if (block.length > byteLength) block = block.slice(0, byteLength)
+      byteLength -= block.length
+      cb(null, block)
+    })
+  }
+
+  function seekRange (size, cb) {
+    var maxLength = Math.max(0, self.byteLength - byteOffset)
+
+    first = false
+    byteLength = byteLength === -1 ? maxLength : Math.min(byteLength, maxLength)
+    if (byteLength === 0) return cb(null, null)
+
+    self.seek(byteOffset, getOpts, function (err, start, relativeOffset) {
+      if (err) return cb(err)
+
+      index = start
+      offset = relativeOffset
+
+      self.seek(byteOffset + byteLength - 1, getOpts, function (err, last) {
+        if (err) return cb(err)
+        range = self.download({ start: index, end: last + 1, linear: true })
+        read(size, cb)
+      })
+    })
+  }
+
+  function cleanup () {
+    if (!range) return
+    self.undownload(range)
+    range = null
+  }
+
+  function open (size, cb) {
+    self.ready(function (err) {
+      if (err) return cb(err)
+      read(size, cb)
+    })
+  }
+
+  function setIndex (value) {
+    var prev = index
+    index = value
+    if (range) {
+      range.start = index
+      if (range.iterator) range.iterator.start = index
+    }
+    return prev
+  }
+}
+
 // TODO: when calling finalize on a live feed write an END_OF_FEED block (length === 0?)
 Feed.prototype.finalize = function (cb) {
   if (!this.key) {
-    this.key = crypto.tree(this._merkle.roots)
+    this.key = this._hash.tree(this._merkle.roots)
     this.discoveryKey = crypto.discoveryKey(this.key)
   }
   this._storage.key.write(0, this.key, cb)
@@ -1512,6 +2830,8 @@ Feed.prototype._forceClose = function (cb, error) {
 
 Feed.prototype._destroy = function (err) {
   this.ifAvailable.destroy()
+  this._uploadThrottle.destroy()
+  this._downloadThrottle.destroy()
 
   while (this._waiting.length) {
     this._waiting.pop().callback(err)
@@ -1519,6 +2839,11 @@ Feed.prototype._destroy = function (err) {
   while (this._selections.length) {
     this._selections.pop().callback(err)
   }
+  while (this._replicatedWaiting.length) {
+    var w = this._replicatedWaiting.pop()
+    clearTimeout(w.timeout)
+    w.callback(err)
+  }
 }
 
 Feed.prototype._appendHook = function (batch, cb) {
@@ -1542,6 +2867,8 @@ Feed.prototype._appendHook = function (batch, cb) {
 Feed.prototype._append = function (batch, cb) {
   if (!this.opened) return this._readyAndAppend(batch, cb)
   if (!this.writable) return cb(new Error('This feed is not writable. Did you create it?'))
+  // the key of a static feed comes from its data, so there is nothing to derive the block key from yet
+  if (this.encrypted && !this._encryption) return cb(new Error('Only live feeds can be encrypted'))
 
   var self = this
   var pending = 1
@@ -1550,11 +2877,14 @@ Feed.prototype._append = function (batch, cb) {
   var nodeBatch = new Array(batch.length ? batch.length * 2 - 1 : 0)
   var nodeOffset = this.length * 2
   var dataBatch = new Array(batch.length)
+  var extraNodes = []
+  var journal = !!this._storage.journal && batch.length > 0
 
   if (!pending) return cb()
 
   for (var i = 0; i < batch.length; i++) {
     var data = this._codec.encode(batch[i])
+    if (this._encryption) data = this._encryption.encrypt(this.fork, this.length + i, data)
     var nodes = this._merkle.next(data)
 
     // the replication stream rejects frames >8MB for DOS defense. Is configurable there, so
@@ -1570,27 +2900,67 @@ Feed.prototype._append = function (batch, cb) {
       if (node.index >= nodeOffset && node.index - nodeOffset < nodeBatch.length) {
         nodeBatch[node.index - nodeOffset] = node
       } else {
-        pending++
-        this._storage.putNode(node.index, node, done)
+        extraNodes.push(node)
       }
     }
   }
 
+  var buffer = this._indexing ? null : (dataBatch.length === 1 ? dataBatch[0] : Buffer.concat(dataBatch))
+
+  var signer = this._signer()
+
   if (this.live && batch.length) {
-    pending++
-    this.crypto.sign(crypto.signable(this._merkle.roots, self.length + batch.length), this.secretKey, function (err, sig) {
-      if (err) return done(err)
-      self._storage.putSignature(self.length + batch.length - 1, sig, done)
+    this.crypto.sign(this._hash.signable(this._merkle.roots, self.length + batch.length), signer.secretKey, function (err, sig) {
+      if (err) return cb(err)
+      writeJournal(sig)
     })
-  }
+  } else {
+    writeJournal(null)
+  }
+
+  function writeJournal (sig) {
+    if (!journal) return write(sig)
+
+    // everything needed to redo this batch goes in the journal before we touch the other files
+    var entry = {
+      start: self.length,
+      byteOffset: self.byteLength,
+      blocks: batch.length,
+      data: buffer,
+      nodes: extraNodes.concat(nodeBatch.filter(Boolean)),
+      signature: sig,
+      signer: sig && signer.publicKey
+    }
 
-  if (!this._indexing) {
-    pending++
-    if (dataBatch.length === 1) this._storage.data.write(this.byteLength, dataBatch[0], done)
-    else this._storage.data.write(this.byteLength, Buffer.concat(dataBatch), done)
+    self._storage.putJournal(entry, function (err) {
+      if (err) return cb(err)
+      write(sig)
+    })
   }
 
-  this._storage.putNodeBatch(nodeOffset, nodeBatch, done)
+  function write (sig) {
+    if (self._compacting) return self._compacting.push(write.bind(null, sig))
+
+    self._writing++
+    cb = self._written.bind(self, cb)
+
+    for (var i = 0; i < extraNodes.length; i++) {
+      pending++
+      self._storage.putNode(extraNodes[i].index, extraNodes[i], done)
+    }
+
+    if (sig) {
+      pending++
+      self._storage.putSignature(self.length + batch.length - 1, sig, signer.publicKey, done)
+    }
+
+    if (buffer) {
+      pending++
+      self._storage.writeData(self.byteLength, buffer, done)
+    }
+
+    self._storage.putNodeBatch(nodeOffset, nodeBatch, done)
+  }
 
   function done (err) {
     if (err) error = err
@@ -1599,7 +2969,8 @@ Feed.prototype._append = function (batch, cb) {
 
     var start = self.length
 
-    // TODO: only emit append and update length / byteLength after the info has been flushed to storage
+    // with a journal the batch is durable at this point, otherwise this is emitted
+    // before the bitfield has been flushed to storage
     self.byteLength += offset
     for (var i = 0; i < batch.length; i++) {
       self.bitfield.set(self.length, true)
@@ -1610,7 +2981,12 @@ Feed.prototype._append = function (batch, cb) {
     var message = self.length - start > 1 ? { start: start, length: self.length - start } : { start: start }
     if (self.peers.length) self._announce(message)
 
-    self._sync(null, cb)
+    self._sync(null, journal ? onsync : cb)
+  }
+
+  function onsync (err) {
+    if (err) return cb(err)
+    self._storage.clearJournal(cb)
   }
 }
 
@@ -1642,7 +3018,7 @@ Feed.prototype._pollWaiting = function () {
     len--
 
     if (next.bytes) this.seek(next.bytes, next, next.callback)
-    else if (next.update) this.update(next.index + 1, next.callback)
+    else if (next.update) this.update({ minLength: next.index + 1, signal: next.signal }, next.callback)
     else this.get(next.index, next.options, next.callback)
   }
 }
@@ -1656,7 +3032,7 @@ Feed.prototype._syncBitfield = function (cb) {
 
   // TODO 1: if the program fails during this write the bitfield might not have been fully written
   // HOWEVER, we can easily recover from this by traversing the tree and checking if the nodes exists
-  // on disk. So if a get fails, it should try and recover once.
+  // on disk. Opening with { repair: true } does exactly that, but a failing get could try it once too.
 
   // TODO 2: if .writable append bitfield updates into a single buffer for extra perf
   // Added benefit is that if the program exits while flushing the bitfield the feed will only get
@@ -1712,39 +3088,173 @@ Feed.prototype.audit = function (cb) {
 
   this.ready(function (err) {
     if (err) return cb(err)
+    self._audit(false, report, cb)
+  })
+}
 
-    var block = 0
-    var max = self.length
+// checks the stored data against the tree. when repairing, every block with a leaf hash is checked,
+// not just the ones the bitfield claims we have, so data that lost its bitfield entry is restored
+Feed.prototype._audit = function (repair, report, cb) {
+  var self = this
+  var block = 0
+  var max = this.length
 
-    next()
+  next()
 
-    function onnode (err, node) {
-      if (err) return ondata(null, null)
-      self._storage.getData(block, ondata)
+  function onnode (err, node) {
+    if (err) return ondata(null, null)
+    self._storage.getData(block, ondata)
+
+    function ondata (_, data) {
+      var verified = !!data && self._hash.data(data).equals(node.hash)
+      var had = self.bitfield.get(block)
+      if (verified) report.valid++
+      else if (had) report.invalid++
+      if (repair && verified && !had) report.restored++
+      self.bitfield.set(block, verified)
+      block++
+      next()
+    }
+  }
 
-      function ondata (_, data) {
-        var verified = data && crypto.data(data).equals(node.hash)
-        if (verified) report.valid++
-        else report.invalid++
-        self.bitfield.set(block, verified)
-        block++
-        next()
-      }
+  function next () {
+    while (block < max && !wanted(block)) block++
+    if (block >= max) return done()
+    self._storage.getNode(2 * block, onnode)
+  }
+
+  function wanted (block) {
+    if (!repair) return self.bitfield.get(block)
+    if (self.tree.get(2 * block)) return true
+    if (self.bitfield.get(block)) { // no hash, no way to verify it
+      self.bitfield.set(block, false)
+      report.invalid++
     }
+    return false
+  }
 
-    function next () {
-      while (block < max && !self.bitfield.get(block)) block++
-      if (block >= max) return done()
-      self._storage.getNode(2 * block, onnode)
+  function done () {
+    self._sync(null, function (err) {
+      if (err) return cb(err)
+      cb(null, report)
+    })
+  }
+}
+
+Feed.prototype.repair = function (cb) {
+  if (!cb) cb = noop
+
+  var self = this
+
+  this.ready(function (err) {
+    if (err) return cb(err)
+    self._repair(cb)
+  })
+}
+
+// rebuilds the tree and data bitfields from what is actually in storage, then truncates
+// to the last length that has a valid signature
+Feed.prototype._repair = function (cb) {
+  var self = this
+  var report = {
+    valid: 0,
+    invalid: 0,
+    restored: 0,
+    nodes: 0,
+    truncated: 0
+  }
+
+  var index = 0
+
+  this._storage.peekNode(0, onnode)
+
+  function onnode (err, node) {
+    if (err) return ontree() // end of the tree storage
+
+    if (self.tree.get(index) !== !!node) {
+      self.tree.bitfield.set(index, !!node)
+      report.nodes++
+    }
+
+    self._storage.peekNode(++index, onnode)
+  }
+
+  function ontree () {
+    // anything set past the end of the tree storage cannot be backed by a node
+    for (; index < self.tree.bitfield.length; index++) {
+      if (!self.tree.get(index)) continue
+      self.tree.bitfield.set(index, false)
+      report.nodes++
     }
 
-    function done () {
-      self._sync(null, function (err) {
+    self.length = self.tree.blocks()
+    self._lastValidLength(self.length, ontruncate)
+  }
+
+  function ontruncate (err, length) {
+    if (err) return cb(err)
+
+    var oldLength = self.length
+    report.truncated = oldLength - length
+    self._truncate(length, self.fork, onroots)
+  }
+
+  function onroots (err) {
+    if (err) return cb(err)
+
+    self._seq = self.length
+    self._roots(self.length, function (err, roots) {
+      if (err) return cb(err)
+
+      self._merkle = merkle(self._hash, roots)
+      self.byteLength = roots.reduce(addSize, 0)
+
+      // data bits past the end cannot be verified
+      for (var i = self.length; i < self.bitfield.length; i++) {
+        if (!self.bitfield.get(i)) continue
+        self.bitfield.set(i, false)
+        report.invalid++
+      }
+
+      self._audit(true, report, cb)
+    })
+  }
+}
+
+// finds the largest length <= length whose roots are covered by a valid signature.
+// Only the lengths a signature is stored for are tried, from the last one down
+Feed.prototype._lastValidLength = function (length, cb) {
+  var self = this
+
+  if (!length || !this.key) return process.nextTick(cb, null, length)
+
+  this._roots(length, function (err, roots) {
+    // non-live feeds are verified by their key instead
+    if (!err && self._hash.tree(roots).equals(self.key)) return cb(null, length)
+    self._storage.prevSignature(length - 1, onsignature)
+  })
+
+  function onsignature (err, signature) {
+    if (err) return cb(err)
+    if (!signature) return cb(null, 0)
+
+    var signed = signature.index + 1
+
+    self._roots(signed, function (err, roots) {
+      if (err) return next()
+
+      verifyCompat(self, self._hash.signable(roots, signed), signature.signature, function (err, valid) {
         if (err) return cb(err)
-        cb(null, report)
+        if (valid) self.live = true
+        if (valid) return cb(null, signed)
+        next()
       })
+    })
+
+    function next () {
+      self._storage.prevSignature(signature.index - 1, onsignature)
     }
-  })
+  }
 }
 
 Feed.prototype.extension = function (name, message) {
@@ -1757,6 +3267,11 @@ Feed.prototype.extension = function (name, message) {
 
 function noop () {}
 
+// end is -1 for ranges that do not end
+function overlaps (start, end, otherStart, otherEnd) {
+  return start < otherEnd && (end === -1 || otherStart < end)
+}
+
 function verifyNode (trusted, node) {
   return trusted && trusted.index === node.index && Buffer.compare(trusted.hash, node.hash) === 0
 }
@@ -1795,6 +3310,27 @@ function wrapCodec (enc, cb) {
   }
 }
 
+function steps (start, end, step) {
+  var list = []
+  for (var i = start; step > 0 ? i < end : i > end; i += step) list.push(i)
+  return list
+}
+
+function wrapDecryption (encryption, fork, index, cb) {
+  return function (err, buf) {
+    if (err) return cb(err)
+    cb(null, encryption.decrypt(fork, index, buf))
+  }
+}
+
+// errors for data from a peer that failed to verify, see Peer.prototype._oninvalid
+function invalidData (reason, message) {
+  var err = new Error(message)
+  err.code = 'EINVALID'
+  err.reason = reason // 'signature' or 'checksum'
+  return err
+}
+
 function timeoutCallback (cb, timeout) {
   var failed = false
   var id = setTimeout(ontimeout, timeout)
@@ -1826,6 +3362,31 @@ function createError (code, errno, msg) {
   return err
 }
 
+function abortedError () {
+  return createError('ECANCELED', -11, 'Request was aborted')
+}
+
+function truncationSignable (fork, length) {
+  return Buffer.concat([TRUNCATION_TYPE, uint64be.encode(fork), uint64be.encode(length)])
+}
+
+function encodeTruncation (fork, length, signature) {
+  var buf = Buffer.alloc(16 + signature.length)
+  uint64be.encode(fork, buf, 0)
+  uint64be.encode(length, buf, 8)
+  signature.copy(buf, 16)
+  return buf
+}
+
+function decodeTruncation (buf) {
+  if (buf.length !== 80) return null
+  return {
+    fork: uint64be.decode(buf, 0),
+    length: uint64be.decode(buf, 8),
+    signature: buf.slice(16)
+  }
+}
+
 function isOptions (initiator) {
   return !Protocol.isProtocolStream(initiator) &&
     typeof initiator === 'object' &&
@@ -1838,9 +3399,56 @@ function readyNT (ifAvailable, fn) {
 }
 
 function verifyCompat (self, checksum, signature, cb) {
-  self.crypto.verify(checksum, signature, self.key, function (err, valid) {
-    if (err || valid) return cb(err, valid)
+  verifyWriters(self, checksum, signature, function (err, valid, signer) {
+    if (err || valid) return cb(err, valid, signer)
     // compat mode, will be removed in a later version
-    self.crypto.verify(checksum.slice(0, 32), signature, self.key, cb)
+    verifyWriters(self, checksum.slice(0, 32), signature, cb)
   })
 }
+
+// Calls back with the key that made the signature, trying every writer of a multi-writer feed
+function verifyWriters (self, data, signature, cb) {
+  var keys = self.writers || [self.key]
+  var i = 0
+
+  loop(null, false)
+
+  function loop (err, valid) {
+    if (err || valid) return cb(err, valid, keys[i - 1])
+    if (i === keys.length) return cb(null, false, null)
+    self.crypto.verify(data, signature, keys[i++], loop)
+  }
+}
+
+// Halves the counts for every decay ms since they were last halved, so peers are not banned for the occasional late reply
+function decayMisbehaviour (entry, decay, now) {
+  if (!decay) return
+
+  var halvings = Math.floor((now - entry.time) / decay)
+  if (halvings <= 0) return
+
+  entry.time += halvings * decay
+  for (var type in entry.counts) entry.counts[type] = Math.floor(entry.counts[type] / Math.pow(2, halvings))
+}
+
+function matchesRule (rules, index, key) {
+  for (var i = 0; i < rules.length; i++) {
+    var rule = rules[i]
+    if (typeof rule.start === 'number' && index < rule.start) continue
+    if (typeof rule.end === 'number' && index >= rule.end) continue
+    if (rule.publicKey && !(key && toKey(rule.publicKey).equals(key))) continue
+    return true
+  }
+  return false
+}
+
+function toKey (key) {
+  return typeof key === 'string' ? Buffer.from(key, 'hex') : key
+}
+
+function indexOfKey (keys, key) {
+  for (var i = 0; i < keys.length; i++) {
+    if (keys[i].equals(key)) return i
+  }
+  return -1
+}
@@ -0,0 +1,116 @@
+var crypto = require('ddatabase-crypto')
+var nodeCrypto = require('crypto')
+var uint64be = require('uint64be')
+
+// The hash and signature schemes a feed can use. The names are stored in the tree and signatures headers.
+//
+// A hash scheme only needs a name and a function hashing a list of buffers into 32 bytes,
+// the tree construction (leaf/parent/root types and sizes) is the same for all of them.
+// A signature scheme needs a name, keyPair(), sign(message, secretKey) and verify(message, signature, publicKey),
+// with 32 byte public keys and 64 byte signatures.
+
+var LEAF_TYPE = Buffer.from([0])
+var PARENT_TYPE = Buffer.from([1])
+var ROOT_TYPE = Buffer.from([2])
+
+var MAX_HASH_NAME = 24
+var MAX_SIGNATURE_NAME = 8
+
+exports.DEFAULT_HASH = 'BLAKE2b'
+exports.DEFAULT_SIGNATURE = 'Ed25519'
+
+var hashes = {
+  // the original ddatabase scheme, implemented by ddatabase-crypto
+  BLAKE2b: {
+    name: 'BLAKE2b',
+    data: crypto.data,
+    leaf: crypto.leaf,
+    parent: crypto.parent,
+    tree: crypto.tree,
+    signable: crypto.signable
+  },
+  'SHA-256': createHash('SHA-256', function (buffers) {
+    var hash = nodeCrypto.createHash('sha256')
+    for (var i = 0; i < buffers.length; i++) hash.update(buffers[i])
+    return hash.digest()
+  })
+}
+
+var signatures = {
+  Ed25519: {
+    name: 'Ed25519',
+    keyPair: crypto.keyPair,
+    sign: crypto.sign,
+    verify: crypto.verify
+  }
+}
+
+// Returns the hash scheme for a name or a custom { name, hash(buffers) } object, or null if unknown
+exports.hash = function (hash) {
+  if (!hash) return hashes[exports.DEFAULT_HASH]
+  if (typeof hash === 'string') return hashes[hash] || null
+  if (!validName(hash.name, MAX_HASH_NAME)) return null
+  if (hash.data && hash.parent && hash.tree && hash.signable) return hash
+  if (typeof hash.hash !== 'function') return null
+  return createHash(hash.name, hash.hash)
+}
+
+// Returns the signature scheme for a name or a custom object, or null if unknown
+exports.signature = function (signature) {
+  if (!signature) return signatures[exports.DEFAULT_SIGNATURE]
+  if (typeof signature === 'string') return signatures[signature] || null
+  if (!validName(signature.name, MAX_SIGNATURE_NAME)) return null
+  if (!signature.keyPair || !signature.sign || !signature.verify) return null
+  return signature
+}
+
+exports.isBuiltin = function (hash, signature) {
+  return hashes[hash] !== undefined && signatures[signature] !== undefined
+}
+
+function createHash (name, hash) {
+  var scheme = {
+    name: name,
+    data: function (data) {
+      return hash([LEAF_TYPE, encodeUInt64(data.length), data])
+    },
+    leaf: function (leaf) {
+      return scheme.data(leaf.data)
+    },
+    parent: function (a, b) {
+      if (a.index > b.index) return scheme.parent(b, a)
+      return hash([PARENT_TYPE, encodeUInt64(a.size + b.size), a.hash, b.hash])
+    },
+    tree: function (roots, out) {
+      var buffers = [ROOT_TYPE]
+
+      for (var i = 0; i < roots.length; i++) {
+        buffers.push(roots[i].hash, encodeUInt64(roots[i].index), encodeUInt64(roots[i].size))
+      }
+
+      var digest = hash(buffers)
+      if (!out) return digest
+      digest.copy(out)
+      return out
+    },
+    signable: function (roots, length) {
+      var out = Buffer.alloc(40)
+
+      if (Buffer.isBuffer(roots)) roots.copy(out)
+      else scheme.tree(roots, out.slice(0, 32))
+
+      uint64be.encode(length, out, 32)
+      return out
+    }
+  }
+
+  return scheme
+}
+
+function validName (name, max) {
+  return typeof name === 'string' && name.length > 0 && Buffer.byteLength(name) <= max
+}
+
+function encodeUInt64 (n) {
+  return uint64be.encode(n, Buffer.alloc(8))
+}
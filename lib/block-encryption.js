@@ -0,0 +1,36 @@
+var nodeCrypto = require('crypto')
+
+// Encrypts blocks with ChaCha20, using a key derived from the encryption key and the feed key and the fork the
+// block was written in and its index as the nonce. A block always encrypts to the same bytes and keeps its length,
+// so the tree is built over the encrypted blocks and byte offsets are the same as for the plaintext. There is no
+// MAC, the tree already makes sure blocks are not tampered with.
+//
+// Blocks rewritten after a truncation are in a new fork, so they never reuse the nonce of the block they replace.
+
+module.exports = BlockEncryption
+
+BlockEncryption.KEY_BYTES = 32
+
+function BlockEncryption (encryptionKey, key) {
+  if (!(this instanceof BlockEncryption)) return new BlockEncryption(encryptionKey, key)
+
+  this.key = nodeCrypto.createHmac('sha256', encryptionKey).update(key).digest()
+}
+
+BlockEncryption.prototype.encrypt = function (fork, index, block) {
+  var cipher = nodeCrypto.createCipheriv('chacha20', this.key, nonce(fork, index))
+  return Buffer.concat([cipher.update(block), cipher.final()])
+}
+
+// ChaCha20 is a stream cipher, so decrypting is the same as encrypting
+BlockEncryption.prototype.decrypt = BlockEncryption.prototype.encrypt
+
+// a 32 bit block counter starting at 0 followed by the 96 bit nonce,
+// the index as a little endian uint64 and the fork as a little endian uint32
+function nonce (fork, index) {
+  var iv = Buffer.alloc(16)
+  iv.writeUInt32LE(index >>> 0, 4)
+  iv.writeUInt32LE(Math.floor(index / 0x100000000), 8)
+  iv.writeUInt32LE(fork >>> 0, 12)
+  return iv
+}
@@ -0,0 +1,180 @@
+var uint64be = require('uint64be')
+
+module.exports = DataMap
+
+// Maps byte offsets in the feed (as stored in the tree) to offsets in a compacted data file.
+// Extents are kept sorted by their feed offset. Each extent also remembers the slot it is
+// stored in, so growing the map only rewrites the entries that changed.
+
+var ENTRY_SIZE = 24
+
+function DataMap (extents) {
+  if (!(this instanceof DataMap)) return new DataMap(extents)
+
+  this.extents = extents || []
+  this.slots = this.extents.length
+  this.end = 0
+
+  this.extents.sort(byStart)
+  for (var i = 0; i < this.extents.length; i++) {
+    var e = this.extents[i]
+    e.slot = i
+    if (e.physical + e.length > this.end) this.end = e.physical + e.length
+  }
+}
+
+DataMap.ENTRY_SIZE = ENTRY_SIZE
+
+DataMap.decode = function (buf, count) {
+  var extents = []
+
+  for (var i = 0; i < count; i++) {
+    var offset = i * ENTRY_SIZE
+    var length = uint64be.decode(buf, offset + 16)
+    if (!length) continue // a slot that was left blank
+    extents.push({
+      start: uint64be.decode(buf, offset),
+      physical: uint64be.decode(buf, offset + 8),
+      length: length,
+      slot: 0
+    })
+  }
+
+  return new DataMap(extents)
+}
+
+DataMap.prototype.encode = function () {
+  var buf = Buffer.alloc(this.extents.length * ENTRY_SIZE)
+  for (var i = 0; i < this.extents.length; i++) {
+    this.extents[i].slot = i
+    encodeExtent(this.extents[i], buf, i * ENTRY_SIZE)
+  }
+  this.slots = this.extents.length
+  return buf
+}
+
+DataMap.prototype.encodeExtent = function (extent) {
+  return encodeExtent(extent, Buffer.alloc(ENTRY_SIZE), 0)
+}
+
+// Returns the pieces of the data file backing [offset, offset + size). Unmapped parts have physical = -1
+DataMap.prototype.map = function (offset, size) {
+  var pieces = []
+  var end = offset + size
+  var i = this._find(offset)
+
+  while (offset < end) {
+    var e = this.extents[i]
+
+    if (!e || e.start >= end) {
+      pieces.push({ start: offset, physical: -1, length: end - offset })
+      break
+    }
+
+    if (e.start > offset) {
+      pieces.push({ start: offset, physical: -1, length: e.start - offset })
+      offset = e.start
+    }
+
+    var len = Math.min(e.start + e.length, end) - offset
+    pieces.push({ start: offset, physical: e.physical + offset - e.start, length: len })
+    offset += len
+    i++
+  }
+
+  return pieces
+}
+
+// Maps all unmapped parts of [offset, offset + size) to the end of the data file.
+// Returns the extents that were added or changed.
+DataMap.prototype.allocate = function (offset, size) {
+  var changed = []
+  var pieces = this.map(offset, size)
+
+  for (var i = 0; i < pieces.length; i++) {
+    var piece = pieces[i]
+    if (piece.physical > -1) continue
+
+    var idx = this._find(piece.start)
+    var prev = idx > 0 ? this.extents[idx - 1] : null
+
+    if (prev && prev.start + prev.length === piece.start && prev.physical + prev.length === this.end) {
+      // the common case of appending, or of downloading in order
+      prev.length += piece.length
+      this.end += piece.length
+      changed.push(prev)
+      continue
+    }
+
+    var extent = { start: piece.start, physical: this.end, length: piece.length, slot: this.slots++ }
+    this.extents.splice(idx, 0, extent)
+    this.end += piece.length
+    changed.push(extent)
+  }
+
+  return changed
+}
+
+// Unmaps [offset, offset + size). Returns the pieces of the data file that are no longer used.
+DataMap.prototype.remove = function (offset, size) {
+  var removed = []
+  var end = offset + size
+  var i = this._find(offset)
+
+  while (i < this.extents.length) {
+    var e = this.extents[i]
+    if (e.start >= end) break
+
+    var eend = e.start + e.length
+    var from = Math.max(e.start, offset)
+    var to = Math.min(eend, end)
+
+    removed.push({ start: from, physical: e.physical + from - e.start, length: to - from })
+
+    var tail = eend > to ? { start: to, physical: e.physical + to - e.start, length: eend - to, slot: 0 } : null
+
+    if (from > e.start) {
+      e.length = from - e.start
+      i++
+      if (tail) this.extents.splice(i++, 0, tail)
+    } else if (tail) {
+      this.extents[i++] = tail
+    } else {
+      this.extents.splice(i, 1)
+    }
+  }
+
+  this.end = 0
+  for (i = 0; i < this.extents.length; i++) {
+    var x = this.extents[i]
+    if (x.physical + x.length > this.end) this.end = x.physical + x.length
+  }
+
+  return removed
+}
+
+// Index of the extent containing offset, or of the first extent after it
+DataMap.prototype._find = function (offset) {
+  var top = this.extents.length
+  var btm = 0
+
+  while (btm < top) {
+    var mid = (btm + top) >> 1
+    var e = this.extents[mid]
+    if (e.start + e.length <= offset) btm = mid + 1
+    else top = mid
+  }
+
+  return btm
+}
+
+function encodeExtent (extent, buf, offset) {
+  uint64be.encode(extent.start, buf, offset)
+  uint64be.encode(extent.physical, buf, offset + 8)
+  uint64be.encode(extent.length, buf, offset + 16)
+  return buf
+}
+
+function byStart (a, b) {
+  return a.start - b.start
+}
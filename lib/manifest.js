@@ -0,0 +1,54 @@
+var uint64be = require('uint64be')
+
+// The manifest of a multi-writer feed lists the public keys allowed to sign appends.
+// It is signed by the feed key, and every change bumps the version so peers keep the latest one.
+//
+// Layout:
+//   0 - 8     version
+//   8 - 16    number of writers
+//   16 -      writer public keys, 32 bytes each
+//   then      signature of the above by the feed key (64 bytes)
+
+var MANIFEST_TYPE = Buffer.from('ddatabase manifest')
+var KEY_SIZE = 32
+var SIGNATURE_SIZE = 64
+
+exports.encode = encode
+exports.decode = decode
+exports.signable = signable
+
+function encode (manifest) {
+  var body = encodeBody(manifest.version, manifest.writers)
+  return Buffer.concat([body, manifest.signature || Buffer.alloc(SIGNATURE_SIZE)])
+}
+
+// Returns null if the manifest is malformed
+function decode (buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 16 + SIGNATURE_SIZE) return null
+
+  var count = uint64be.decode(buf, 8)
+  if (buf.length !== 16 + KEY_SIZE * count + SIGNATURE_SIZE) return null
+
+  var writers = new Array(count)
+  for (var i = 0; i < count; i++) writers[i] = buf.slice(16 + KEY_SIZE * i, 16 + KEY_SIZE * (i + 1))
+
+  return {
+    version: uint64be.decode(buf, 0),
+    writers: writers,
+    signature: buf.slice(buf.length - SIGNATURE_SIZE)
+  }
+}
+
+function signable (manifest) {
+  return Buffer.concat([MANIFEST_TYPE, encodeBody(manifest.version, manifest.writers)])
+}
+
+function encodeBody (version, writers) {
+  var buf = Buffer.alloc(16 + KEY_SIZE * writers.length)
+
+  uint64be.encode(version, buf, 0)
+  uint64be.encode(writers.length, buf, 8)
+  for (var i = 0; i < writers.length; i++) writers[i].copy(buf, 16 + KEY_SIZE * i)
+
+  return buf
+}
@@ -0,0 +1,172 @@
+module.exports = FeedPromises
+FeedPromises.BlockIterator = BlockIterator
+
+// Promise versions of the callback methods of a feed, available as feed.promises.
+// Methods that call back with several values resolve with an object of them, like seek with { index, offset }.
+
+function FeedPromises (feed) {
+  if (!(this instanceof FeedPromises)) return new FeedPromises(feed)
+  this.feed = feed
+}
+
+FeedPromises.prototype.ready = function () {
+  return call(this.feed, 'ready', [])
+}
+
+FeedPromises.prototype.append = function (batch) {
+  return call(this.feed, 'append', [batch])
+}
+
+FeedPromises.prototype.get = function (index, opts) {
+  return call(this.feed, 'get', [index, opts])
+}
+
+FeedPromises.prototype.getBatch = function (start, end, opts) {
+  return call(this.feed, 'getBatch', [start, end, opts])
+}
+
+FeedPromises.prototype.head = function (opts) {
+  return call(this.feed, 'head', [opts])
+}
+
+FeedPromises.prototype.seek = function (bytes, opts) {
+  var feed = this.feed
+
+  return new Promise(function (resolve, reject) {
+    feed.seek(bytes, opts, function (err, index, offset) {
+      if (err) reject(err)
+      else resolve({ index: index, offset: offset })
+    })
+  })
+}
+
+FeedPromises.prototype.update = function (opts) {
+  return call(this.feed, 'update', [opts])
+}
+
+FeedPromises.prototype.download = function (range) {
+  return call(this.feed, 'download', [range])
+}
+
+FeedPromises.prototype.proof = function (index, opts) {
+  return call(this.feed, 'proof', [index, opts])
+}
+
+FeedPromises.prototype.audit = function () {
+  return call(this.feed, 'audit', [])
+}
+
+FeedPromises.prototype.signature = function (index) {
+  return call(this.feed, 'signature', [index])
+}
+
+FeedPromises.prototype.verify = function (index, signature) {
+  return call(this.feed, 'verify', [index, signature])
+}
+
+FeedPromises.prototype.rootHashes = function (index) {
+  return call(this.feed, 'rootHashes', [index])
+}
+
+FeedPromises.prototype.clear = function (start, end, opts) {
+  return call(this.feed, 'clear', [start, end, opts])
+}
+
+FeedPromises.prototype.truncate = function (length) {
+  return call(this.feed, 'truncate', [length])
+}
+
+FeedPromises.prototype.replicated = function (opts) {
+  return call(this.feed, 'replicated', [opts])
+}
+
+FeedPromises.prototype.close = function () {
+  return call(this.feed, 'close', [])
+}
+
+// Iterates the blocks from start to end, end defaults to the length of the feed or waits for
+// new blocks forever when live. Takes the same options as feed.get, including a signal to stop it.
+function BlockIterator (feed, opts) {
+  if (!(this instanceof BlockIterator)) return new BlockIterator(feed, opts)
+  if (!opts) opts = {}
+
+  this.feed = feed
+  this.start = opts.start || 0
+  this.end = typeof opts.end === 'number' ? opts.end : -1
+  this.live = !!opts.live
+  this.ended = false
+
+  this._opts = opts
+  this._range = null // started by the first next, so an iterator that is never read downloads nothing
+  this._cancel = null
+}
+
+BlockIterator.prototype[Symbol.asyncIterator] = function () {
+  return this
+}
+
+BlockIterator.prototype.next = function () {
+  var self = this
+  var feed = this.feed
+
+  if (this.ended) return Promise.resolve({ done: true, value: undefined })
+
+  if (!this._range) {
+    // the download stops with the signal too
+    this._range = feed.download({ start: this.start, end: this.end, linear: true, signal: this._opts.signal })
+  }
+
+  return new Promise(function (resolve, reject) {
+    feed.ready(function (err) {
+      if (err) return onerror(err)
+      if (self.end === -1) self.end = self.live ? Infinity : feed.length
+      if (self.start >= self.end) return resolve(self.return())
+
+      self._cancel = feed.get(self.start, self._opts, function (err, value) {
+        self._cancel = null
+        if (err) return onerror(err)
+        self._setStart(self.start + 1)
+        resolve({ done: false, value: value })
+      })
+    })
+
+    function onerror (err) {
+      self._destroy()
+      reject(err)
+    }
+  })
+}
+
+// called when a for await loop is left early
+BlockIterator.prototype.return = function () {
+  if (this._cancel) this.feed.cancel(this._cancel)
+  this._destroy()
+  return Promise.resolve({ done: true, value: undefined })
+}
+
+BlockIterator.prototype._setStart = function (start) {
+  this.start = start
+  if (!this._range) return
+  this._range.start = start
+  if (this._range.iterator) this._range.iterator.start = start
+}
+
+BlockIterator.prototype._destroy = function () {
+  this.ended = true
+  if (!this._range) return
+  this.feed.undownload(this._range)
+  this._range = null
+}
+
+function call (feed, name, args) {
+  // optional arguments are left out, so the method sees the callback where it expects it
+  while (args.length && args[args.length - 1] === undefined) args.pop()
+
+  return new Promise(function (resolve, reject) {
+    args.push(function (err, value) {
+      if (err) reject(err)
+      else resolve(value)
+    })
+    feed[name].apply(feed, args)
+  })
+}
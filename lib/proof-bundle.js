@@ -0,0 +1,193 @@
+var uint64be = require('uint64be')
+var algorithms = require('./algorithms')
+var hashRange = require('./range-proof')
+var Node = require('./storage').Node
+
+// A self contained proof for a range of blocks, that can be verified with nothing but the public key of the feed.
+//
+// Layout:
+//   0 - 4     magic number (same as the storage headers, type 5)
+//   4         version
+//   5         flags, 1 if there is a signature
+//   8 - 40    public key
+//   40 - 48   index of the first block
+//   48 - 56   feed length the proof is for
+//   56 - 64   number of blocks
+//   64 - 72   number of nodes
+//   72 - 136  signature
+//   136 - 160 name of the hash algorithm
+//   160 - 168 name of the signature algorithm
+//   168 -     blocks (size + data), then nodes (index + hash + size)
+
+var VERSION = 0
+var HEADER_SIZE = 168
+var NODE_SIZE = 48
+
+exports.encode = encode
+exports.decode = decode
+exports.verify = verify
+
+function encode (bundle) {
+  var size = HEADER_SIZE + NODE_SIZE * bundle.nodes.length
+  var i = 0
+
+  for (i = 0; i < bundle.blocks.length; i++) size += 8 + bundle.blocks[i].length
+
+  var buf = Buffer.alloc(size)
+
+  buf[0] = 5
+  buf[1] = 2
+  buf[2] = 87
+  buf[3] = 5
+  buf[4] = VERSION
+  buf[5] = bundle.signature ? 1 : 0
+
+  bundle.key.copy(buf, 8)
+  uint64be.encode(bundle.start, buf, 40)
+  uint64be.encode(bundle.length, buf, 48)
+  uint64be.encode(bundle.blocks.length, buf, 56)
+  uint64be.encode(bundle.nodes.length, buf, 64)
+  if (bundle.signature) bundle.signature.copy(buf, 72)
+  buf.write(bundle.hash || algorithms.DEFAULT_HASH, 136, 24)
+  buf.write(bundle.signatureAlgorithm || algorithms.DEFAULT_SIGNATURE, 160, 8)
+
+  var offset = HEADER_SIZE
+
+  for (i = 0; i < bundle.blocks.length; i++) {
+    uint64be.encode(bundle.blocks[i].length, buf, offset)
+    bundle.blocks[i].copy(buf, offset + 8)
+    offset += 8 + bundle.blocks[i].length
+  }
+
+  for (i = 0; i < bundle.nodes.length; i++) {
+    var node = bundle.nodes[i]
+    uint64be.encode(node.index, buf, offset)
+    node.hash.copy(buf, offset + 8)
+    uint64be.encode(node.size, buf, offset + 40)
+    offset += NODE_SIZE
+  }
+
+  return buf
+}
+
+// Throws if the bundle is malformed
+function decode (buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < HEADER_SIZE) throw new Error('Invalid proof bundle')
+  if (buf[0] !== 5 || buf[1] !== 2 || buf[2] !== 87 || buf[3] !== 5) throw new Error('Invalid proof bundle')
+  if (buf[4] !== VERSION) throw new Error('Unsupported proof bundle version: ' + buf[4])
+
+  var blocks = new Array(uint64be.decode(buf, 56))
+  var nodes = new Array(uint64be.decode(buf, 64))
+  var offset = HEADER_SIZE
+  var i = 0
+
+  for (i = 0; i < blocks.length; i++) {
+    if (offset + 8 > buf.length) throw new Error('Invalid proof bundle')
+    var size = uint64be.decode(buf, offset)
+    if (offset + 8 + size > buf.length) throw new Error('Invalid proof bundle')
+    blocks[i] = buf.slice(offset + 8, offset + 8 + size)
+    offset += 8 + size
+  }
+
+  if (offset + NODE_SIZE * nodes.length !== buf.length) throw new Error('Invalid proof bundle')
+
+  for (i = 0; i < nodes.length; i++) {
+    nodes[i] = new Node(uint64be.decode(buf, offset), buf.slice(offset + 8, offset + 40), uint64be.decode(buf, offset + 40))
+    offset += NODE_SIZE
+  }
+
+  return {
+    key: buf.slice(8, 40),
+    start: uint64be.decode(buf, 40),
+    length: uint64be.decode(buf, 48),
+    blocks: blocks,
+    nodes: nodes,
+    signature: buf[5] & 1 ? buf.slice(72, 136) : null,
+    hash: readName(buf, 136, 160),
+    signatureAlgorithm: readName(buf, 160, 168)
+  }
+}
+
+// Verifies a bundle without any storage. Calls back with the decoded bundle if it is valid.
+// The key or the writers have to come from the caller, anyone can sign a bundle carrying their own key.
+function verify (buf, opts, cb) {
+  if (typeof opts === 'function') return verify(buf, null, opts)
+  if (!opts) opts = {}
+  if (!opts.key && !opts.writers) return process.nextTick(cb, new Error('A key or writers are needed to verify a proof'))
+
+  var bundle = null
+
+  try {
+    bundle = decode(buf)
+  } catch (err) {
+    return process.nextTick(cb, err)
+  }
+
+  if (opts.key && !opts.key.equals(bundle.key)) return process.nextTick(cb, new Error('Proof is for another feed'))
+
+  var hash = resolve(algorithms.hash, opts.hash, bundle.hash)
+  var signature = resolve(algorithms.signature, opts.signature, bundle.signatureAlgorithm)
+
+  if (!hash) return process.nextTick(cb, new Error('Unknown hash algorithm: ' + bundle.hash))
+  if (!signature && !opts.crypto) return process.nextTick(cb, new Error('Unknown signature algorithm: ' + bundle.signatureAlgorithm))
+
+  var range = hashRange(bundle.start, bundle.blocks, bundle.nodes, hash)
+  if (!range) return process.nextTick(cb, new Error('Invalid range proof'))
+  if (range.length !== bundle.length) return process.nextTick(cb, new Error('Proof does not match the feed length'))
+
+  var checksum = hash.signable(range.roots, range.length)
+
+  if (!bundle.signature) {
+    if (!opts.key) return process.nextTick(cb, new Error('A key is needed to verify an unsigned proof'))
+    if (!checksum.slice(0, 32).equals(bundle.key)) return process.nextTick(cb, new Error('Proof checksum failed'))
+    return process.nextTick(cb, null, bundle)
+  }
+
+  // a multi-writer feed can be signed by any of its writers
+  var keys = opts.writers || [opts.key]
+
+  verifySignature(opts.crypto || defaultCrypto(signature), checksum, bundle.signature, keys, function (err, valid) {
+    if (err) return cb(err)
+    if (!valid) return cb(new Error('Proof signature could not be verified'))
+    cb(null, bundle)
+  })
+}
+
+// same as verifyCompat in the feed, older feeds signed only the tree hash
+function verifySignature (crypto, checksum, signature, keys, cb) {
+  var i = 0
+
+  loop(null, false)
+
+  function loop (err, valid) {
+    if (err || valid) return cb(err, valid)
+    if (i === keys.length) return cb(null, false)
+
+    var key = keys[i++]
+
+    crypto.verify(checksum, signature, key, function (err, valid) {
+      if (err || valid) return cb(err, valid)
+      crypto.verify(checksum.slice(0, 32), signature, key, loop)
+    })
+  }
+}
+
+function defaultCrypto (signature) {
+  return {
+    verify (data, sig, pk, cb) {
+      process.nextTick(cb, null, signature.verify(data, sig, pk))
+    }
+  }
+}
+
+// a custom algorithm passed in the options is used if it has the name the bundle asks for
+function resolve (lookup, custom, name) {
+  if (custom && typeof custom === 'object' && custom.name === name) return lookup(custom)
+  return lookup(name)
+}
+
+function readName (buf, start, end) {
+  var len = 0
+  while (start + len < end && buf[start + len]) len++
+  return buf.toString('utf-8', start, start + len)
+}
@@ -0,0 +1,65 @@
+var flat = require('flat-tree')
+var Node = require('./storage').Node
+
+module.exports = hashRange
+
+// Hashes the blocks in a range together with the nodes of a range proof (see TreeIndex.rangeProof)
+// up to the roots of the tree, using the given hash scheme (see lib/algorithms.js). Returns null if the proof is incomplete or has nodes inside the range.
+// The result has the roots, the feed length they sign, the byte offset of the first block
+// and all the nodes that were used or computed.
+function hashRange (start, blocks, proofNodes, crypto) {
+  var first = 2 * start
+  var last = 2 * (start + blocks.length - 1)
+  var nodes = new Map()
+  var result = []
+  var rightSpan = last
+  var node = null
+  var i = 0
+
+  if (!blocks.length) return null
+
+  for (i = 0; i < proofNodes.length; i++) {
+    node = proofNodes[i]
+    if (flat.rightSpan(node.index) >= first && flat.leftSpan(node.index) <= last) return null
+    if (flat.rightSpan(node.index) > rightSpan) rightSpan = flat.rightSpan(node.index)
+    nodes.set(node.index, node)
+    result.push(node)
+  }
+
+  for (i = 0; i < blocks.length; i++) {
+    node = new Node(first + 2 * i, crypto.data(blocks[i]), blocks[i].length)
+    nodes.set(node.index, node)
+    result.push(node)
+  }
+
+  var verifiedBy = rightSpan + 2
+  var roots = flat.fullRoots(verifiedBy).map(hash)
+  var offsets = flat.fullRoots(first).map(hash)
+
+  if (roots.indexOf(null) > -1 || offsets.indexOf(null) > -1) return null
+
+  return {
+    roots: roots,
+    length: verifiedBy / 2,
+    byteOffset: offsets.reduce(addSize, 0),
+    nodes: result
+  }
+
+  function hash (index) {
+    if (nodes.has(index)) return nodes.get(index)
+    if (!(index & 1) || flat.rightSpan(index) < first || flat.leftSpan(index) > last) return null
+
+    var left = hash(flat.leftChild(index))
+    var right = hash(flat.rightChild(index))
+    if (!left || !right) return null
+
+    var parent = new Node(index, crypto.parent(left, right), left.size + right.size)
+    nodes.set(index, parent)
+    result.push(parent)
+    return parent
+  }
+}
+
+function addSize (size, node) {
+  return size + node.size
+}
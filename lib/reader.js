@@ -0,0 +1,81 @@
+var HypercoreCache = require('ddatabase-cache')
+
+module.exports = Reader
+
+var DEFAULT_CACHE_SIZE = 1024 * 1024 * 4
+
+// Reads byte ranges of a feed like a file, for media players and archive libraries that seek around.
+// Recently read blocks are cached, and concurrent reads of the same block share one get.
+// Takes the options of feed.get(), plus cacheSize in bytes (0 disables the cache).
+
+function Reader (feed, opts) {
+  if (!(this instanceof Reader)) return new Reader(feed, opts)
+  if (!opts) opts = {}
+
+  this.feed = feed
+
+  this._opts = Object.assign({}, opts, { valueEncoding: 'binary' })
+  this._cache = opts.cacheSize === 0 ? null : new HypercoreCache({
+    maxByteSize: opts.cacheSize || DEFAULT_CACHE_SIZE,
+    estimateSize: buf => buf.length
+  })
+  this._pending = new Map()
+}
+
+// Calls back with up to length bytes starting at position, less at the end of the feed
+Reader.prototype.read = function (position, length, cb) {
+  var self = this
+  var feed = this.feed
+
+  feed.ready(function (err) {
+    if (err) return cb(err)
+
+    length = Math.min(length, feed.byteLength - position)
+    if (!(length > 0)) return cb(null, Buffer.alloc(0))
+
+    feed.seek(position, self._opts, function (err, start, offset) {
+      if (err) return cb(err)
+
+      feed.seek(position + length - 1, self._opts, function (err, last) {
+        if (err) return cb(err)
+
+        var blocks = new Array(last - start + 1)
+        var missing = blocks.length
+        var error = null
+
+        for (var i = 0; i < blocks.length; i++) self._getBlock(start + i, onblock.bind(null, i))
+
+        function onblock (i, err, block) {
+          if (err) error = err
+          else blocks[i] = block
+          if (--missing) return
+          if (error) return cb(error)
+
+          var data = blocks.length === 1 ? blocks[0] : Buffer.concat(blocks)
+          cb(null, data.slice(offset, offset + length))
+        }
+      })
+    })
+  })
+}
+
+Reader.prototype._getBlock = function (index, cb) {
+  var self = this
+  // blocks are rewritten after a truncation, so they are cached per fork
+  var key = this.feed.fork + ':' + index
+  var cached = this._cache && this._cache.get(key)
+
+  if (cached) return process.nextTick(cb, null, cached)
+
+  var waiting = this._pending.get(key)
+  if (waiting) return waiting.push(cb)
+
+  waiting = [cb]
+  this._pending.set(key, waiting)
+
+  this.feed.get(index, this._opts, function (err, block) {
+    self._pending.delete(key)
+    if (!err && self._cache) self._cache.set(key, block)
+    for (var i = 0; i < waiting.length; i++) waiting[i](err, block)
+  })
+}
@@ -4,8 +4,15 @@ var bitfield = require('fast-bitfield')
 var set = require('unordered-set')
 var rle = require('bitfield-rle').align(4)
 var treeIndex = require('./tree-index')
+var Throttle = require('./throttle')
+var RequestWindow = require('./request-window')
 
 var EMPTY = new Uint8Array(1024)
+var MAX_TIMEOUTS = 3 // disconnect a peer after this many request timeouts
+var MAX_ERRORS = 3 // or after sending this many blocks that failed to verify
+var BACKOFF = 250 // ms to hold back requests after a timeout or error, doubled every time
+var MAX_BACKOFF = 30000
+var ACK_INTERVAL = 10 // ms to wait for more blocks so their acks go out as one range
 
 module.exports = replicate
 
@@ -37,6 +44,11 @@ function replicate (feed, initiator, opts) {
       }
     }
 
+    if (feed.isBanned(stream.remotePublicKey)) {
+      stream.close(feed.discoveryKey)
+      return
+    }
+
     var peer = new Peer(feed, opts)
 
     peer.feed = feed
@@ -53,7 +65,8 @@ function Peer (feed, opts) {
   this.feed = feed
   this.stream = null // set by replicate just after creation
   this.wants = bitfield()
-  this.remoteBitfield = bitfield()
+  this.remoteBitfield = bitfield() // what the remote has and we do not, used to pick requests
+  this.remoteHaves = bitfield() // everything the remote told us it has
   this.remoteLength = 0
   this.remoteWant = false
   this.remoteTree = null
@@ -71,10 +84,10 @@ function Peer (feed, opts) {
 
   this.updated = false
 
-  this.maxRequests = opts.maxRequests || feed.maxRequests || 16
-  this.urgentRequests = this.maxRequests + 16
   this.inflightRequests = []
   this.inflightWants = 0
+  this.remoteRequests = [] // requests from the remote we are still reading the proof or data for
+  this.remoteWants = [] // { start, end } ranges the remote wants to hear about
 
   this._openTimeout = null
   this._index = -1
@@ -85,15 +98,65 @@ function Peer (feed, opts) {
   this._defaultDownloading = this.downloading
   this._iterator = this.remoteBitfield.iterator()
   this._requestTimeout = null
+  this._uploadThrottle = new Throttle(opts.uploadRate)
+  this._downloadThrottle = new Throttle(opts.downloadRate)
+  this._throttled = false
+  this._window = new RequestWindow(opts.maxRequests || feed.maxRequests)
+  this._backoff = null
+
+  this.timeouts = 0 // requests that timed out
+  this.errors = 0 // responses that failed to verify
+
+  this._stragglers = 0 // responses to cancelled requests that might still arrive
+  this._acks = [] // downloaded blocks we did not send an ack for yet
+  this._ackTimeout = null
+  this._misbehaviour = null // used if the peer has no public key
+  this._forkChecks = [] // { index, callback } for blocks we asked for again to see if they are from another version of the feed
 
   this.stats = !opts.stats ? null : {
     uploadedBytes: 0,
     uploadedBlocks: 0,
     downloadedBytes: 0,
-    downloadedBlocks: 0
+    downloadedBlocks: 0,
+    uploadThrottledTime: 0,
+    downloadThrottledTime: 0,
+    maxRequests: this._window.limit,
+    rtt: 0,
+    throughput: 0
   }
 }
 
+Object.defineProperty(Peer.prototype, 'maxRequests', {
+  enumerable: true,
+  get: function () {
+    return this._window.limit
+  }
+})
+
+// smoothed round trip time of our requests in ms
+Object.defineProperty(Peer.prototype, 'latency', {
+  enumerable: true,
+  get: function () {
+    return Math.round(this._window.rtt)
+  }
+})
+
+// Between 0 and 1, higher is better. Peers we did not hear back from yet start at 1 so they get a chance
+Object.defineProperty(Peer.prototype, 'score', {
+  enumerable: true,
+  get: function () {
+    return 1 / (1 + this._window.rtt / 100 + this.timeouts + 2 * this.errors)
+  }
+})
+
+// gets someone is waiting for can go a bit over the window
+Object.defineProperty(Peer.prototype, 'urgentRequests', {
+  enumerable: true,
+  get: function () {
+    return this._window.limit + 16
+  }
+})
+
 Object.defineProperty(Peer.prototype, 'remoteAddress', {
   enumerable: true,
   get: function () {
@@ -127,6 +190,7 @@ Peer.prototype.onwant = function (want) {
     this.stream.have({ start: this.feed.length - 1 })
   }
   this.remoteWant = true
+  this.remoteWants.push({ start: want.start, end: want.start + want.length })
   var rle = this.feed.bitfield.compress(want.start, want.length)
   this.stream.have({ start: want.start, length: want.length, bitfield: rle })
 }
@@ -136,24 +200,29 @@ Peer.prototype.ondata = function (data) {
 
   // Ignore unrequested messages unless we allow push
   // TODO: would be better to check if the byte range was requested instead, but this works fine
+  if (this._onforkcheck(data)) return
+
   var allowPush = this.feed.allowPush || !data.value
   if (!allowPush && !this.feed._reserved.get(data.index)) {
     // If we do not have this block, send back unhave message for this index,
     // to let the remote know we rejected it.
-    // TODO: we might want to have some "unwanted push" threshold to punish spammers
-    if (!self.feed.bitfield.get(data.index)) self.unhave({ start: data.index })
+    if (!self.feed.bitfield.get(data.index)) self.stream.unhave({ start: data.index })
     self._clear(data.index, !data.value)
+    if (self._stragglers > 0) self._stragglers--
+    else self.feed._onmisbehave(self, 'unrequested', new Error('Remote pushed too many unrequested blocks'))
     return
   }
 
+  this._onresponse(data)
   this.feed._putBuffer(data.index, data.value, data, this, function (err) {
+    if (err && err.code === 'EINVALID') return self._oninvalid(err, data)
     if (err) return self.destroy(err)
-    if (data.value) self.remoteBitfield.set(data.index, false)
-    if (self.remoteAck) {
-      // Send acknowledgement.
-      // In the future this could batch several ACKs at once
-      self.stream.have({ start: data.index, length: 1, ack: true })
+    if (data.value) {
+      self.remoteBitfield.set(data.index, false)
+      self._downloadThrottle.consume(data.value.length)
+      self.feed._downloadThrottle.consume(data.value.length)
     }
+    if (self.remoteAck) self._ack(data.index)
     if (self.stats && data.value) {
       self.stats.downloadedBlocks += 1
       self.stats.downloadedBytes += data.value.length
@@ -162,6 +231,59 @@ Peer.prototype.ondata = function (data) {
   })
 }
 
+// true if the remote told us it has all blocks in the range
+Peer.prototype._hasRange = function (start, end) {
+  if (end <= start) return true
+  var i = this.remoteHaves.iterator().seek(start).next(false)
+  return i === -1 || i >= end
+}
+
+Peer.prototype._ack = function (index) {
+  this._acks.push(index)
+  if (this._ackTimeout === null) this._ackTimeout = setTimeout(onacktimeout, ACK_INTERVAL, this)
+}
+
+// Sends the pending acks, coalesced into as few ranges as possible
+Peer.prototype._flushAcks = function () {
+  clearTimeout(this._ackTimeout)
+  this._ackTimeout = null
+  if (!this._acks.length) return
+
+  var acks = this._acks.sort(byNumber)
+  var start = acks[0]
+  var end = start + 1
+
+  this._acks = []
+
+  for (var i = 1; i < acks.length; i++) {
+    if (acks[i] <= end) {
+      end = Math.max(end, acks[i] + 1)
+      continue
+    }
+    this.stream.have({ start: start, length: end - start, ack: true })
+    start = acks[i]
+    end = start + 1
+  }
+
+  this.stream.have({ start: start, length: end - start, ack: true })
+}
+
+Peer.prototype._onresponse = function (data) {
+  for (var i = 0; i < this.inflightRequests.length; i++) {
+    var request = this.inflightRequests[i]
+    if (request.index !== data.index) continue
+
+    this._window.onresponse(request.sent, data.value ? data.value.length : 0, this.inflightRequests.length)
+
+    if (this.stats) {
+      this.stats.maxRequests = this._window.limit
+      this.stats.rtt = Math.round(this._window.rtt)
+      this.stats.throughput = Math.round(this._window.throughput)
+    }
+    return
+  }
+}
+
 Peer.prototype._clear = function (index, hash) {
   // TODO: optimize me (no splice and do not run through all ...)
   for (var i = 0; i < this.inflightRequests.length; i++) {
@@ -190,17 +312,39 @@ Peer.prototype.onrequest = function (request) {
   if (!this.remoteTree) this.remoteTree = treeIndex()
 
   var self = this
-  var opts = { digest: request.nodes, hash: request.hash, tree: this.remoteTree }
+  // without a digest nothing is assumed about what the remote has, so the proof can be verified on its own
+  var opts = { digest: request.nodes, hash: request.hash, tree: request.nodes ? this.remoteTree : null }
 
-  this.feed.proof(request.index, opts, onproof)
+  this.remoteRequests.push(request)
+  this.feed._canUpload(request.index, this, onallowed)
+
+  function onallowed (err, allowed) {
+    if (request.cancelled) return
+    if (!err && allowed) return self.feed.proof(request.index, opts, onproof)
+
+    // tell the remote to look elsewhere instead of letting the request time out,
+    // even if it never sent a want and so gets no other haves or unhaves
+    removeRequest(self.remoteRequests, request)
+    self.stream.unhave({ start: request.index })
+  }
 
   function onproof (err, proof) {
     if (err) return self.destroy(err)
+    if (request.cancelled) return
     if (request.hash) onvalue(null, null)
     else if (self.feed.bitfield.get(request.index)) self.feed._getBuffer(request.index, onvalue)
+    else removeRequest(self.remoteRequests, request)
 
     function onvalue (err, value) {
-      if (!self.uploading) return
+      if (err || !value) return send(err, value)
+      self._throttleUpload(value.length, function () {
+        send(null, value)
+      })
+    }
+
+    function send (err, value) {
+      removeRequest(self.remoteRequests, request)
+      if (!self.uploading || request.cancelled) return
       if (err) return self.destroy(err)
 
       if (value) {
@@ -229,6 +373,56 @@ Peer.prototype.onrequest = function (request) {
   }
 }
 
+// Waits for both the upload limit of this peer and the one of the feed
+Peer.prototype._throttleUpload = function (bytes, cb) {
+  var self = this
+
+  this._uploadThrottle.take(bytes, function (peerWaited) {
+    self.feed._uploadThrottle.take(bytes, function (feedWaited) {
+      self._addThrottledTime('uploadThrottledTime', peerWaited + feedWaited)
+      cb()
+    }, self)
+  })
+}
+
+// Returns true if a download limit is used up. New requests are held back until it refills,
+// the data of the ones already inflight is simply counted when it arrives.
+Peer.prototype._throttleDownload = function () {
+  var throttle = null
+
+  if (!this._downloadThrottle.available()) throttle = this._downloadThrottle
+  else if (!this.feed._downloadThrottle.available()) throttle = this.feed._downloadThrottle
+  else return false
+
+  if (this._throttled) return true
+  this._throttled = true
+
+  var self = this
+
+  throttle.wait(function (waited) {
+    self._throttled = false
+    self._addThrottledTime('downloadThrottledTime', waited)
+    if (!self._closed) self.update()
+  }, this)
+
+  return true
+}
+
+Peer.prototype._addThrottledTime = function (name, ms) {
+  if (!ms || !this.stats) return
+  this.stats[name] += ms
+  this.feed._stats[name] += ms
+}
+
+Peer.prototype.setUploadRate = function (bytesPerSecond) {
+  this._uploadThrottle.setRate(bytesPerSecond)
+}
+
+Peer.prototype.setDownloadRate = function (bytesPerSecond) {
+  this._downloadThrottle.setRate(bytesPerSecond)
+  this.update()
+}
+
 Peer.prototype._updateOptions = function () {
   if (this.ack || this.feed.extensions.length) {
     this.stream.options({
@@ -291,6 +485,7 @@ Peer.prototype._onrequesttimeout = function () {
     // prob a bytes response
     this.inflightRequests.shift()
     this.feed._reserved.set(first.index, false)
+    this._stragglers++
 
     if (this.stream.stream.timeout) {
       this._requestTimeout = timeout(this.stream.stream.timeout.ms, this._onrequesttimeout, this)
@@ -298,12 +493,130 @@ Peer.prototype._onrequesttimeout = function () {
     return
   }
 
-  this.destroy(new Error('Request timeout'))
+  this.timeouts++
+
+  // with nobody else to ask there is no point in waiting for this peer
+  if (this.timeouts >= MAX_TIMEOUTS || this.feed.peers.length < 2) {
+    this.destroy(new Error('Request timeout'))
+    return
+  }
+
+  this._release()
+  this._backOff()
+}
+
+Peer.prototype._oninvalid = function (err, data) {
+  var self = this
+
+  // two writers of a multi-writer feed appending at the same length create two versions of it. Blocks from
+  // the other version fail to verify against ours, so the peer is only to blame if they do not verify on their own
+  if (data && data.value && data.signature && this.feed.writers) this._checkFork(data.index, onchecked)
+  else onchecked(false)
+
+  function onchecked (forked) {
+    if (forked) {
+      // the peer has another block at this index, so do not ask it for this one again
+      self.remoteBitfield.set(data.index, false)
+    } else {
+      self.errors++
+      if (self.feed._onmisbehave(self, err.reason, err)) return
+      if (self.errors >= MAX_ERRORS) {
+        self.destroy(err)
+        return
+      }
+    }
+
+    self._release()
+    self._backOff()
+  }
+}
+
+// Asks for a block again without a digest, so the proof has all the nodes to verify it without our tree
+Peer.prototype._checkFork = function (index, cb) {
+  this._forkChecks.push({ index: index, callback: cb })
+  this.stream.request({ index: index, bytes: 0, hash: false, nodes: 0 })
+}
+
+Peer.prototype._onforkcheck = function (data) {
+  var self = this
+  var check = null
+
+  for (var i = 0; i < this._forkChecks.length; i++) {
+    if (this._forkChecks[i].index !== data.index) continue
+    check = this._forkChecks[i]
+    this._forkChecks.splice(i, 1)
+    break
+  }
+
+  if (!check) return false
+
+  this.feed._verifyFork(data.index, data.value, data, function (err, fork) {
+    if (err) return self.destroy(err)
+    if (self._destroyed) return
+    if (fork) self.feed.emit('fork', fork.length, fork.signer, self)
+    check.callback(!!fork)
+  })
+
+  return true
+}
+
+// Gives up on the inflight requests, so other peers can pick them up
+Peer.prototype._release = function () {
+  this._window.ontimeout()
+  if (this.stats) this.stats.maxRequests = this._window.limit
+
+  for (var i = 0; i < this.inflightRequests.length; i++) {
+    var request = this.inflightRequests[i]
+    this.feed._reserved.set(request.index, false)
+    this.stream.cancel({ index: request.index, bytes: request.bytes, hash: request.hash })
+    this._stragglers++
+  }
+
+  this.inflightRequests = []
+
+  if (this._requestTimeout !== null) {
+    this._requestTimeout.destroy()
+    this._requestTimeout = null
+  }
+}
+
+Peer.prototype._backOff = function () {
+  var self = this
+  var ms = Math.min(MAX_BACKOFF, BACKOFF * Math.pow(2, this.timeouts + this.errors - 1))
+
+  clearTimeout(this._backoff)
+  this._backoff = setTimeout(function () {
+    self._backoff = null
+    self.update()
+  }, ms)
+
+  this.feed._updatePeers()
+}
+
+// Waiting gets go to the best scored peer that has the block and room for more requests
+Peer.prototype._isBestFor = function (index) {
+  var score = this.score
+
+  for (var i = 0; i < this.feed.peers.length; i++) {
+    var peer = this.feed.peers[i]
+    if (peer === this || peer.score <= score || !peer._canRequest()) continue
+    if (peer.remoteBitfield.get(index) && peer.inflightRequests.length < peer.urgentRequests) return false
+  }
+
+  return true
+}
+
+Peer.prototype._canRequest = function () {
+  return this.downloading && this.remoteUploading && this._backoff === null && !this._throttled
 }
 
 Peer.prototype.onhave = function (have) {
   if (this.ack && have.ack && !have.bitfield && this.feed.bitfield.get(have.start)) {
+    // the length is up to the remote, we only care about blocks we have
+    var end = Math.min(have.start + (have.length || 1), this.feed.length)
+    for (var i = have.start; i < end; i++) this.remoteHaves.set(i, true)
     this.stream.stream.emit('ack', have)
+    this.feed._checkReplicated()
     return
   }
 
@@ -323,6 +636,7 @@ Peer.prototype.onhave = function (have) {
     }
     var buf = rle.decode(have.bitfield)
     var bits = buf.length * 8
+    this.remoteHaves.fill(nativeWords(buf, this.remoteHaves.littleEndian), have.start)
     remoteAndNotLocal(this.feed.bitfield, buf, this.remoteBitfield.littleEndian, have.start)
     this.remoteBitfield.fill(buf, have.start)
     if (bits > this.remoteLength) {
@@ -335,7 +649,10 @@ Peer.prototype.onhave = function (have) {
     var start = have.start
     var len = have.length || 1
 
-    while (len--) this.remoteBitfield.set(start, !this.feed.bitfield.get(start++))
+    while (len--) {
+      this.remoteHaves.set(start, true)
+      this.remoteBitfield.set(start, !this.feed.bitfield.get(start++))
+    }
     if (start > this.remoteLength) {
       this.remoteLength = start
       updated = true
@@ -349,6 +666,7 @@ Peer.prototype.onhave = function (have) {
 
   this._updateEnd()
   this.update()
+  this.feed._checkReplicated()
 }
 
 Peer.prototype._updateEnd = function () {
@@ -400,19 +718,54 @@ Peer.prototype._autoEnd = function () {
 Peer.prototype.onunhave = function (unhave) {
   var start = unhave.start
   var len = unhave.length || 1
+  var end = start + len
 
   if (start === 0 && len >= this.remoteLength) {
     this.remoteLength = 0
     this.remoteBitfield = bitfield()
-    return
+    this.remoteHaves = bitfield()
+  } else {
+    for (var i = start; i < end; i++) {
+      this.remoteHaves.set(i, false)
+      this.remoteBitfield.set(i, false)
+    }
   }
 
-  while (len--) this.remoteBitfield.set(start++, false)
+  // the remote will not answer requests for these, so ask other peers right away
+  var unanswered = []
+
+  for (var j = 0; j < this.inflightRequests.length; j++) {
+    var index = this.inflightRequests[j].index
+    if (index >= start && index < end) unanswered.push(index)
+  }
+
+  for (j = 0; j < unanswered.length; j++) this._clear(unanswered[j])
 }
 
-Peer.prototype.onunwant =
-Peer.prototype.oncancel = function () {
-  // TODO: impl all of me
+Peer.prototype.onunwant = function (unwant) {
+  var start = unwant.start
+  var end = unwant.length ? start + unwant.length : Infinity
+  var wants = []
+
+  // keep the parts of the wanted ranges outside of the unwanted one
+  for (var i = 0; i < this.remoteWants.length; i++) {
+    var want = this.remoteWants[i]
+    if (want.start < start) wants.push({ start: want.start, end: Math.min(want.end, start) })
+    if (want.end > end) wants.push({ start: Math.max(want.start, end), end: want.end })
+  }
+
+  this.remoteWants = wants
+  this.remoteWant = wants.length > 0
+}
+
+// The remote no longer needs a block, so drop the request if we did not send the data yet
+Peer.prototype.oncancel = function (cancel) {
+  for (var i = 0; i < this.remoteRequests.length; i++) {
+    var request = this.remoteRequests[i]
+    if (request.index !== cancel.index || !!request.hash !== !!cancel.hash) continue
+    request.cancelled = true
+    this.remoteRequests.splice(i--, 1)
+  }
 }
 
 Peer.prototype.onclose = function () {
@@ -420,14 +773,108 @@ Peer.prototype.onclose = function () {
 }
 
 Peer.prototype.have = function (have) { // called by feed
-  if (this.stream && this.remoteWant) this.stream.have(have)
+  if (this.stream && this.remoteWant) {
+    var end = have.start + (have.length || 1)
+    if (this._remoteWants(have.start, end)) this.stream.have(have)
+    // the remote still has to learn about the new length, like the eager have in onwant
+    else if (end >= this.feed.length) this.stream.have({ start: this.feed.length - 1 })
+  }
   var start = have.start
   var len = have.length
   while (len--) this.remoteBitfield.set(start++, false)
 }
 
 Peer.prototype.unhave = function (unhave) { // called by feed
-  if (this.stream && this.remoteWant) this.stream.unhave(unhave)
+  if (!this.stream || !this._remoteWants(unhave.start, unhave.start + (unhave.length || 1))) return
+  this.stream.unhave(unhave)
+}
+
+// true if the remote wants to hear about any of the blocks in the range
+Peer.prototype._remoteWants = function (start, end) {
+  for (var i = 0; i < this.remoteWants.length; i++) {
+    var want = this.remoteWants[i]
+    if (want.start < end && start < want.end) return true
+  }
+  return false
+}
+
+Peer.prototype.truncate = function (length) { // called by feed
+  // whatever the remote told us about blocks past length belongs to the old fork
+  for (var i = length; i < this.remoteLength; i++) {
+    this.remoteBitfield.set(i, false)
+    this.remoteHaves.set(i, false)
+  }
+  if (this.remoteLength > length) this.remoteLength = length
+  this.remoteTree = null
+
+  for (i = 0; i < this.inflightRequests.length; i++) {
+    if (this.inflightRequests[i].index >= length) {
+      this.feed._reserved.set(this.inflightRequests[i].index, false)
+      this.inflightRequests.splice(i, 1)
+      this._stragglers++
+      i--
+    }
+  }
+}
+
+// Cancels the requests and wants in a range that nothing waits for anymore, so the remote stops sending them
+Peer.prototype.cancel = function (start, end) { // called by feed
+  var feed = this.feed
+  var len = 1024 * 1024
+  var cancelled = 0
+  var i = 0
+
+  if (end === -1) end = Infinity
+
+  for (i = 0; i < this.inflightRequests.length; i++) {
+    var request = this.inflightRequests[i]
+    if (request.bytes || request.index < start || request.index >= end) continue
+    if (feed._isWanted(request.index, request.index + 1)) continue
+
+    this.inflightRequests.splice(i--, 1)
+    feed._reserved.set(request.index, false)
+    this.stream.cancel({ index: request.index, hash: request.hash })
+    this._stragglers++
+    cancelled++
+  }
+
+  if (this.inflightRequests.length === 0 && this._requestTimeout !== null) {
+    this._requestTimeout.destroy()
+    this._requestTimeout = null
+  }
+
+  if (cancelled) this.update()
+  if (!this.wants) return
+
+  // the first range is always wanted, see _sendWants
+  for (i = Math.max(1, Math.floor(start / len)); i * len < Math.min(end, this.remoteLength); i++) {
+    if (!this.wants.get(i) || feed._isWanted(i * len, (i + 1) * len)) continue
+    this.wants.set(i, false)
+    this.stream.unwant({ start: i * len, length: len })
+  }
+}
+
+// Cancels the requests for a byte offset that no seek waits for anymore
+Peer.prototype.cancelBytes = function (bytes) { // called by feed
+  var cancelled = 0
+
+  for (var i = 0; i < this.inflightRequests.length; i++) {
+    var request = this.inflightRequests[i]
+    if (request.bytes !== bytes) continue
+
+    this.inflightRequests.splice(i--, 1)
+    this.feed._reserved.set(request.index, false)
+    this.stream.cancel({ index: request.index, bytes: request.bytes, hash: request.hash })
+    this._stragglers++
+    cancelled++
+  }
+
+  if (this.inflightRequests.length === 0 && this._requestTimeout !== null) {
+    this._requestTimeout.destroy()
+    this._requestTimeout = null
+  }
+
+  if (cancelled) this.update()
 }
 
 Peer.prototype.haveBytes = function (bytes) { // called by feed
@@ -435,6 +882,7 @@ Peer.prototype.haveBytes = function (bytes) { // called by feed
     if (this.inflightRequests[i].bytes === bytes) {
       this.feed._reserved.set(this.inflightRequests[i].index, false)
       this.inflightRequests.splice(i, 1)
+      this._stragglers++
       i--
     }
   }
@@ -455,7 +903,8 @@ Peer.prototype.update = function () {
 
 Peer.prototype._update = function () {
   // should return true if mutated false if not
-  if (!this.downloading || !this.remoteUploading) return false
+  if (!this.downloading || !this.remoteUploading || this._backoff !== null) return false
+  if (this._throttleDownload()) return false
   var selections = this.feed._selections
   var waiting = this.feed._waiting
   var wlen = waiting.length
@@ -465,7 +914,6 @@ Peer.prototype._update = function () {
   var i = 0
 
   // TODO: less duplicate code here
-  // TODO: re-add priority levels
 
   while (inflight < this.urgentRequests) {
     offset = Math.floor(Math.random() * waiting.length)
@@ -482,22 +930,30 @@ Peer.prototype._update = function () {
     inflight = this.inflightRequests.length
   }
 
-  while (inflight < this.maxRequests) {
-    offset = Math.floor(Math.random() * selections.length)
-
-    for (i = 0; i < selections.length; i++) {
-      var s = selections[offset++]
-      if (offset === selections.length) offset = 0
+  // a tier only gives way to the next one once it has nothing left to request from this peer
+  var tiers = priorityTiers(selections)
+
+  for (var t = 0; t < tiers.length; t++) {
+    var tier = tiers[t]
+
+    while (inflight < this.maxRequests) {
+      for (i = 0; i < tier.length; i++) {
+        var s = tier[i]
+        var requested = this.inflightRequests.length
+
+        // a callback might have removed and added selections without changing the length
+        if (!set.has(selections, s)) return true // mutated
+        if (!s.iterator) s.iterator = this.feed.bitfield.iterator(s.start, s.end)
+        if (s.blocks) this._downloadBlocks(s)
+        else this._downloadRange(s)
+        if (selections.length !== slen) return true // mutated
+        if (this.inflightRequests.length > requested) s.served = ++this.feed._selectionsServed
+        if (this.inflightRequests.length >= this.maxRequests) return false
+      }
 
-      if (!s.iterator) s.iterator = this.feed.bitfield.iterator(s.start, s.end)
-      if (s.blocks) this._downloadBlocks(s)
-      else this._downloadRange(s)
-      if (selections.length !== slen) return true // mutated
-      if (this.inflightRequests.length >= this.maxRequests) return false
+      if (inflight === this.inflightRequests.length) break
+      inflight = this.inflightRequests.length
     }
-
-    if (inflight === this.inflightRequests.length) return false
-    inflight = this.inflightRequests.length
   }
 
   return false
@@ -508,6 +964,11 @@ Peer.prototype.onopen = function () {
   this.feed.ifAvailable.continue()
   this.remoteOpened = true
 
+  if (this.feed.isBanned(this.remotePublicKey)) {
+    this._close()
+    return
+  }
+
   this._updateOptions()
 
   if (!this.uploading || !this.downloading) {
@@ -517,7 +978,11 @@ Peer.prototype.onopen = function () {
     })
   }
 
+  this.feed._sendAlgorithms(this)
+  this.feed._sendManifest(this)
   this._sendWants()
+  this._sendReplicatedWants()
+  this.feed._sendTruncation(this)
   this.feed.emit('peer-open', this)
 }
 
@@ -535,6 +1000,9 @@ Peer.prototype.ready = function () {
 }
 
 Peer.prototype.end = function () {
+  // the remote might close once it knows we are done, so the acks have to go first
+  this._flushAcks()
+
   if (!this.downloading && !this.remoteDownloading && !this.live) {
     if (!this._defaultDownloading) {
       this.stream.status({ downloading: false, uploading: false })
@@ -553,10 +1021,17 @@ Peer.prototype.end = function () {
 
 Peer.prototype._close = function () {
   clearTimeout(this._openTimeout)
+  clearTimeout(this._backoff)
+  this._uploadThrottle.destroy()
+  this._downloadThrottle.destroy()
+  this.feed._uploadThrottle.cancel(this)
+  this.feed._downloadThrottle.cancel(this)
   if (!this._destroyed) {
+    this._flushAcks()
     this._destroyed = true
     this.stream.close()
   }
+  clearTimeout(this._ackTimeout)
   if (this._index === -1) return
   set.remove(this.feed.peers, this)
   this._index = -1
@@ -613,6 +1088,19 @@ Peer.prototype._sendWants = function () {
   this._sendWant(0)
 }
 
+// Subscribes to the haves of the ranges feed.replicated() is waiting for, even if we are not downloading,
+// otherwise a writer never hears about the blocks its peers downloaded
+Peer.prototype._sendReplicatedWants = function () {
+  if (!this.wants || !this.remoteOpened) return
+
+  var len = 1024 * 1024
+
+  for (var i = 0; i < this.feed._replicatedWaiting.length; i++) {
+    var w = this.feed._replicatedWaiting[i]
+    for (var want = w.start - (w.start % len); want < w.end; want += len) this._sendWant(want)
+  }
+}
+
 Peer.prototype._sendWantRange = function (s) {
   if (s.blocks) {
     if (!s.selected) s.selected = new WeakSet()
@@ -651,7 +1139,7 @@ Peer.prototype._sendWant = function (index) {
 
 Peer.prototype._downloadWaiting = function (wait) {
   if (!wait.bytes) {
-    if (!this.remoteBitfield.get(wait.index) || !this.feed._reserved.set(wait.index, true)) {
+    if (!this.remoteBitfield.get(wait.index) || !this._isBestFor(wait.index) || !this.feed._reserved.set(wait.index, true)) {
       if (!wait.update || this.feed._reserved.get(wait.index)) return
       const i = this._iterator.seek(wait.index).next(true)
       if (i === -1 || !this.feed._reserved.set(i, true)) return
@@ -688,6 +1176,7 @@ Peer.prototype._downloadBlocks = function (range) {
 }
 
 Peer.prototype._downloadRange = function (range) {
+  if (range.reverse) return this._downloadReverse(range)
   if (!range.iterator) range.iterator = this.feed.bitfield.iterator(range.start, range.end)
 
   var reserved = this.feed._reserved
@@ -743,12 +1232,36 @@ Peer.prototype._downloadRange = function (range) {
   this._request(i, range.bytes || 0, range.hash)
 }
 
+// Requests the last block of the range that we are missing and the remote has. Reverse read streams
+// move range.end down as they read, so this is the next block they need.
+Peer.prototype._downloadReverse = function (range) {
+  var bitfield = this.feed.bitfield
+
+  // we have every block from range.cursor to the end of the range, so only look below it.
+  // The cursor moves down as the blocks arrive, so each update does not go over the whole range again
+  if (range.cursor === -1 || range.cursor > range.end) range.cursor = range.end
+  while (range.cursor > range.start && bitfield.get(range.cursor - 1)) range.cursor--
+
+  for (var i = Math.min(range.cursor, this.remoteLength) - 1; i >= range.start; i--) {
+    if (!this.remoteBitfield.get(i) || !this.feed._reserved.set(i, true)) continue
+    range.requested++
+    this._request(i, 0, false)
+    return
+  }
+
+  if (this.feed.length >= range.end && range.cursor === range.start) {
+    set.remove(this.feed._selections, range)
+    range.callback(null)
+  }
+}
+
 Peer.prototype._request = function (index, bytes, hash) {
   var request = {
     bytes: bytes,
     index: index,
     hash: hash,
-    nodes: this.feed.digest(index)
+    nodes: this.feed.digest(index),
+    sent: Date.now()
   }
 
   if (this._requestTimeout === null && this.stream.stream.timeout) {
@@ -767,6 +1280,16 @@ function createView (page) {
   return new DataView(buf.buffer, buf.byteOffset, 1024)
 }
 
+// a copy of a bitfield from the wire in the word order fast-bitfield uses, like remoteAndNotLocal does
+function nativeWords (buf, le) {
+  var remote = new DataView(buf.buffer, buf.byteOffset)
+  var copy = Buffer.alloc(buf.length)
+  var arr = new Uint32Array(copy.buffer, copy.byteOffset, Math.floor(buf.length / 4))
+
+  for (var i = 0; i < arr.length; i++) arr[i] = remote.getUint32(4 * i, !le)
+  return copy
+}
+
 function remoteAndNotLocal (local, buf, le, start) {
   var remote = new DataView(buf.buffer, buf.byteOffset)
   var len = Math.floor(buf.length / 4)
@@ -785,6 +1308,37 @@ function remoteAndNotLocal (local, buf, le, start) {
   }
 }
 
+// Groups the selections by priority, highest first. Inside a tier the selection that was
+// served the longest ago goes first, so a busy selection cannot starve the others.
+function priorityTiers (selections) {
+  var sorted = selections.slice(0).sort(byPriority)
+  var tiers = []
+
+  for (var i = 0; i < sorted.length; i++) {
+    if (!i || sorted[i].priority !== sorted[i - 1].priority) tiers.push([])
+    tiers[tiers.length - 1].push(sorted[i])
+  }
+
+  return tiers
+}
+
+function byPriority (a, b) {
+  return (b.priority - a.priority) || (a.served - b.served)
+}
+
+function onacktimeout (peer) {
+  peer._flushAcks()
+}
+
+function byNumber (a, b) {
+  return a - b
+}
+
+function removeRequest (list, request) {
+  var i = list.indexOf(request)
+  if (i > -1) list.splice(i, 1)
+}
+
 function nextRandom (ite, start, end) {
   var len = end - start
   var i = ite.seek(Math.floor(Math.random() * len) + start).next(true)
@@ -0,0 +1,81 @@
+module.exports = RequestWindow
+
+// How many requests to pipeline to a peer, adapted to the link a bit like TCP Vegas.
+// The window grows with every response, by one at first and then by about one per round trip.
+// The throughput we expect from the window and the lowest round trip time is compared with the one we
+// actually get, and once the difference says requests are queueing up at the peer the window shrinks again,
+// by about the number of extra queued requests per round trip. Timeouts halve the window.
+
+var MIN_SIZE = 1
+var MAX_SIZE = 256
+var INITIAL_SIZE = 16
+var MIN_QUEUED = 2 // keep growing while fewer requests than this are queued at the peer
+var MAX_QUEUED = 6 // shrink when more than this are
+var JITTER = 10 // ms of round trip time above the lowest one that do not count as queueing
+var THROUGHPUT_INTERVAL = 250 // ms
+
+function RequestWindow (fixed) {
+  if (!(this instanceof RequestWindow)) return new RequestWindow(fixed)
+
+  this.fixed = !!fixed
+  this.size = fixed || INITIAL_SIZE
+  this.threshold = MAX_SIZE // grow by one per response below this
+  this.samples = 0
+  this.rtt = 0 // smoothed round trip time in ms
+  this.minRtt = 0
+  this.throughput = 0 // smoothed bytes per second
+
+  this._bytes = 0
+  this._since = 0
+}
+
+Object.defineProperty(RequestWindow.prototype, 'limit', {
+  enumerable: true,
+  get: function () {
+    return Math.floor(this.size)
+  }
+})
+
+// Called with the time a request was sent, the size of the response and how many requests were inflight
+RequestWindow.prototype.onresponse = function (sent, bytes, inflight) {
+  var now = Date.now()
+  var rtt = now - sent
+
+  this.rtt = this.samples ? this.rtt + (rtt - this.rtt) / 8 : rtt
+  if (!this.samples || rtt < this.minRtt) this.minRtt = rtt
+  this.samples++
+
+  this._measure(now, bytes)
+  if (this.fixed) return
+
+  // expected - actual throughput in requests per ms, times the lowest round trip time
+  var delay = this.rtt - this.minRtt
+  var queued = delay > JITTER ? inflight * delay / this.rtt : 0
+
+  if (queued > MAX_QUEUED) {
+    if (this.size < this.threshold) this.threshold = this.size
+    this.size = Math.max(MIN_SIZE, this.size - (queued - MAX_QUEUED) / this.size)
+  } else if (queued < MIN_QUEUED) {
+    this.size = Math.min(MAX_SIZE, this.size + (this.size < this.threshold ? 1 : 1 / this.size))
+  }
+}
+
+// Called when requests timed out or failed and were given up on, which says more about the peer than any round trip time
+RequestWindow.prototype.ontimeout = function () {
+  if (this.fixed) return
+  this.size = Math.max(MIN_SIZE, this.size / 2)
+  this.threshold = this.size
+}
+
+RequestWindow.prototype._measure = function (now, bytes) {
+  if (!this._since) this._since = now
+  this._bytes += bytes
+
+  var elapsed = now - this._since
+  if (elapsed < THROUGHPUT_INTERVAL) return
+
+  var rate = this._bytes * 1000 / elapsed
+  this.throughput = this.throughput ? (3 * this.throughput + rate) / 4 : rate
+  this._bytes = 0
+  this._since = now
+}
@@ -0,0 +1,471 @@
+var uint64be = require('uint64be')
+
+// Packs all the files of a feed (key, secret_key, tree, data, bitfield, signatures, ...)
+// into a single container file.
+//
+// The container starts with a header holding a region table (name + byte length per file).
+// After that it is split into fixed size pages. Every page starts with a small page header
+// saying which region and which page of that region it holds, so the page map is
+// rebuilt by scanning the page headers on open. Pages with a blank header are free.
+
+var HEADER_SIZE = 4096
+var PAGE_HEADER_SIZE = 8
+var REGION_SIZE = 32
+var REGION_NAME_SIZE = 16
+var MAX_REGIONS = (HEADER_SIZE - 64) / REGION_SIZE
+var DEFAULT_PAGE_SIZE = 16384
+var COPY_CHUNK_SIZE = 65536
+var CONTAINER = 'container'
+var FILES = ['key', 'secret_key', 'tree', 'data', 'bitfield', 'signatures', 'journal', 'data_map', 'compaction', 'signatures_upgrade', 'forks', 'manifest']
+
+module.exports = singleFile
+
+function singleFile (create, opts) {
+  var container = new Container(create, opts)
+
+  return function (name, createOpts) {
+    return new Region(container, name, createOpts)
+  }
+}
+
+singleFile.migrate = migrate
+
+function Container (create, opts) {
+  if (!opts) opts = {}
+
+  this.create = create
+  this.file = null
+  this.pageSize = opts.pageSize || DEFAULT_PAGE_SIZE
+  this.regions = []
+  this.pages = 0
+  this.free = []
+  this.refs = 0
+  this.destroying = false
+
+  this._opening = null
+  this._queue = []
+  this._running = false
+}
+
+Container.prototype.ready = function (createOpts, cb) {
+  if (this._opening === null) {
+    this._opening = []
+    this._open(createOpts)
+  }
+
+  if (this._opening) this._opening.push(cb)
+  else process.nextTick(cb, this._error || null)
+}
+
+Container.prototype._open = function (createOpts) {
+  var self = this
+
+  this.file = this.create(CONTAINER, createOpts)
+  this.file.read(0, HEADER_SIZE, function (err, buf) {
+    if (err) return self.file.write(0, self._header(), onopen)
+
+    if (buf[0] !== 5 || buf[1] !== 2 || buf[2] !== 87 || buf[3] !== 4) {
+      return onopen(new Error('Not a ddatabase container'))
+    }
+
+    self.pageSize = buf.readUInt32BE(8)
+
+    var count = buf.readUInt32BE(12)
+    for (var i = 0; i < count; i++) {
+      var offset = 64 + REGION_SIZE * i
+      var name = buf.toString('utf-8', offset + 1, offset + 1 + buf[offset])
+      self.regions.push({ id: i, name: name, length: uint64be.decode(buf, offset + REGION_NAME_SIZE), pages: [] })
+    }
+
+    self._scan(0, onopen)
+  })
+
+  function onopen (err) {
+    var waiting = self._opening
+    self._error = err || null
+    self._opening = false
+    for (var i = 0; i < waiting.length; i++) waiting[i](self._error)
+  }
+}
+
+Container.prototype._scan = function (page, cb) {
+  var self = this
+
+  this.file.read(this._pageOffset(page), PAGE_HEADER_SIZE, function (err, buf) {
+    if (err) return cb(null) // end of file
+
+    var id = buf.readUInt32BE(0)
+    if (id === 0 || id > self.regions.length) self.free.push(page)
+    else self.regions[id - 1].pages[buf.readUInt32BE(4)] = page
+
+    self.pages = page + 1
+    self._scan(page + 1, cb)
+  })
+}
+
+Container.prototype.region = function (name) {
+  for (var i = 0; i < this.regions.length; i++) {
+    if (this.regions[i].name === name) return this.regions[i]
+  }
+
+  if (this.regions.length >= MAX_REGIONS) return null
+  if (Buffer.byteLength(name) >= REGION_NAME_SIZE) return null
+
+  var region = { id: this.regions.length, name: name, length: 0, pages: [] }
+  this.regions.push(region)
+  return region
+}
+
+Container.prototype.read = function (region, offset, size, cb) {
+  if (offset + size > region.length) return process.nextTick(cb, new Error('Could not satisfy length'))
+
+  var buf = Buffer.alloc(size)
+  var payload = this.pageSize - PAGE_HEADER_SIZE
+  var pending = 1
+  var error = null
+  var end = offset + size
+
+  while (offset < end) {
+    var page = Math.floor(offset / payload)
+    var rel = offset - page * payload
+    var len = Math.min(payload - rel, end - offset)
+    var filePage = region.pages[page]
+
+    // unallocated pages inside the region are holes and read as zeros
+    if (filePage !== undefined) {
+      pending++
+      this.file.read(this._pageOffset(filePage) + PAGE_HEADER_SIZE + rel, len, oncopy(buf, size - (end - offset)))
+    }
+
+    offset += len
+  }
+
+  done(null)
+
+  function oncopy (target, start) {
+    return function (err, data) {
+      if (!err) data.copy(target, start)
+      done(err)
+    }
+  }
+
+  function done (err) {
+    if (err) error = err
+    if (--pending) return
+    if (error) return cb(error)
+    cb(null, buf)
+  }
+}
+
+Container.prototype.write = function (region, offset, data, cb) {
+  this._run(function (done) {
+    this._write(region, offset, data, done)
+  }, cb)
+}
+
+Container.prototype.del = function (region, offset, size, cb) {
+  this._run(function (done) {
+    this._del(region, offset, size, done)
+  }, cb)
+}
+
+Container.prototype.close = function (destroy, cb) {
+  if (destroy) this.destroying = true
+  if (--this.refs > 0) return process.nextTick(cb, null)
+
+  this._run(function (done) {
+    var self = this
+    var file = this.file
+
+    if (!file) return done(null)
+
+    this.file = null
+    this._opening = null
+    this.regions = []
+    this.free = []
+    this.pages = 0
+
+    if (this.destroying && file.destroy) file.destroy(ondone)
+    else if (file.close) file.close(ondone)
+    else ondone(null)
+
+    function ondone (err) {
+      self.destroying = false
+      done(err)
+    }
+  }, cb)
+}
+
+// writes and deletes are applied one at a time, as they might allocate pages and update the header
+Container.prototype._run = function (fn, cb) {
+  this._queue.push({ fn: fn, callback: cb })
+  if (!this._running) this._next()
+}
+
+Container.prototype._next = function () {
+  var self = this
+  var op = this._queue.shift()
+
+  if (!op) {
+    this._running = false
+    return
+  }
+
+  this._running = true
+  op.fn.call(this, function (err, val) {
+    op.callback(err, val)
+    self._next()
+  })
+}
+
+Container.prototype._write = function (region, offset, data, cb) {
+  var self = this
+  var payload = this.pageSize - PAGE_HEADER_SIZE
+  var pending = 1
+  var error = null
+  var start = 0
+
+  while (start < data.length) {
+    var page = Math.floor((offset + start) / payload)
+    var rel = offset + start - page * payload
+    var len = Math.min(payload - rel, data.length - start)
+    var filePage = region.pages[page]
+
+    pending++
+
+    if (filePage === undefined) {
+      // a new page is written in full so it never contains leftovers from a freed page
+      var buf = Buffer.alloc(this.pageSize)
+      filePage = region.pages[page] = this.free.length ? this.free.shift() : this.pages++
+      buf.writeUInt32BE(region.id + 1, 0)
+      buf.writeUInt32BE(page, 4)
+      data.copy(buf, PAGE_HEADER_SIZE + rel, start, start + len)
+      this.file.write(this._pageOffset(filePage), buf, done)
+    } else {
+      this.file.write(this._pageOffset(filePage) + PAGE_HEADER_SIZE + rel, data.slice(start, start + len), done)
+    }
+
+    start += len
+  }
+
+  done(null)
+
+  function done (err) {
+    if (err) error = err
+    if (--pending) return
+    if (error) return cb(error)
+    if (offset + data.length <= region.length) return cb(null)
+
+    region.length = offset + data.length
+    self.file.write(0, self._header(), cb)
+  }
+}
+
+Container.prototype._del = function (region, offset, size, cb) {
+  var self = this
+  var payload = this.pageSize - PAGE_HEADER_SIZE
+  var end = Math.min(offset + size, region.length)
+  var length = end === region.length ? offset : region.length
+  var pending = 1
+  var error = null
+
+  while (offset < end) {
+    var page = Math.floor(offset / payload)
+    var rel = offset - page * payload
+    var len = Math.min(payload - rel, end - offset)
+    var filePage = region.pages[page]
+
+    if (filePage !== undefined) {
+      pending++
+
+      if (len === payload || (rel === 0 && length <= offset)) {
+        // the whole page is gone, so give it back
+        delete region.pages[page]
+        this.free.push(filePage)
+        this.file.write(this._pageOffset(filePage), Buffer.alloc(PAGE_HEADER_SIZE), done)
+      } else {
+        this.file.write(this._pageOffset(filePage) + PAGE_HEADER_SIZE + rel, Buffer.alloc(len), done)
+      }
+    }
+
+    offset += len
+  }
+
+  done(null)
+
+  function done (err) {
+    if (err) error = err
+    if (--pending) return
+    if (error) return cb(error)
+    if (length === region.length) return cb(null)
+
+    region.length = length
+    self.file.write(0, self._header(), cb)
+  }
+}
+
+Container.prototype._pageOffset = function (page) {
+  return HEADER_SIZE + page * this.pageSize
+}
+
+Container.prototype._header = function () {
+  var buf = Buffer.alloc(HEADER_SIZE)
+
+  // magic number, same as the other storage headers
+  buf[0] = 5
+  buf[1] = 2
+  buf[2] = 87
+  buf[3] = 4
+
+  // version
+  buf[4] = 0
+
+  buf.writeUInt32BE(this.pageSize, 8)
+  buf.writeUInt32BE(this.regions.length, 12)
+
+  for (var i = 0; i < this.regions.length; i++) {
+    var offset = 64 + REGION_SIZE * i
+    var region = this.regions[i]
+    buf[offset] = buf.write(region.name, offset + 1)
+    uint64be.encode(region.length, buf, offset + REGION_NAME_SIZE)
+  }
+
+  return buf
+}
+
+// A random-access compatible view of a single region in the container
+function Region (container, name, createOpts) {
+  this.container = container
+  this.name = name
+  this.region = null
+  this.closed = false
+  this._createOpts = createOpts
+
+  container.refs++
+}
+
+Region.prototype._ready = function (cb) {
+  var self = this
+
+  if (this.closed) return process.nextTick(cb, new Error('Closed'))
+  if (this.region) return cb(null)
+
+  this.container.ready(this._createOpts, function (err) {
+    if (err) return cb(err)
+    if (!self.region) self.region = self.container.region(self.name)
+    if (!self.region) return cb(new Error('Too many files in container'))
+    cb(null)
+  })
+}
+
+Region.prototype.read = function (offset, size, cb) {
+  var self = this
+  this._ready(function (err) {
+    if (err) return cb(err)
+    self.container.read(self.region, offset, size, cb)
+  })
+}
+
+Region.prototype.write = function (offset, data, cb) {
+  if (!cb) cb = noop
+  var self = this
+  this._ready(function (err) {
+    if (err) return cb(err)
+    self.container.write(self.region, offset, data, cb)
+  })
+}
+
+Region.prototype.del = function (offset, size, cb) {
+  if (!cb) cb = noop
+  var self = this
+  this._ready(function (err) {
+    if (err) return cb(err)
+    self.container.del(self.region, offset, size, cb)
+  })
+}
+
+Region.prototype.close = function (cb) {
+  this._close(false, cb)
+}
+
+Region.prototype.destroy = function (cb) {
+  this._close(true, cb)
+}
+
+Region.prototype._close = function (destroy, cb) {
+  if (!cb) cb = noop
+  if (this.closed) return process.nextTick(cb, null)
+  this.closed = true
+  this.container.close(destroy, cb)
+}
+
+// copies the files of a feed stored one file per name, like the default directory layout,
+// into a single container created with the same storage function
+function migrate (create, opts, cb) {
+  if (typeof opts === 'function') return migrate(create, null, opts)
+  if (!cb) cb = noop
+
+  var target = singleFile(create, opts)
+  var names = FILES.slice(0)
+
+  next(null)
+
+  function next (err) {
+    if (err) return cb(err)
+    if (!names.length) return cb(null)
+
+    var name = names.shift()
+    var from = create(name)
+    var to = target(name)
+
+    copy(from, to, function (err) {
+      var pending = 2
+      var error = err || null
+
+      from.close ? from.close(onclose) : onclose(null)
+      to.close(onclose)
+
+      function onclose (err) {
+        if (err && !error) error = err
+        if (--pending) return
+        next(error)
+      }
+    })
+  }
+}
+
+function copy (from, to, cb) {
+  var offset = 0
+  var size = Infinity
+  var chunk = COPY_CHUNK_SIZE
+
+  if (!from.statable || !from.stat) return loop()
+
+  from.stat(function (err, st) {
+    if (err) return cb(null) // missing file, nothing to copy
+    size = st.size
+    loop()
+  })
+
+  function loop () {
+    var len = Math.min(chunk, size - offset)
+    if (!len) return cb(null)
+
+    from.read(offset, len, function (err, buf) {
+      // without stat, find the end of the file by halving the chunk size
+      if (err) {
+        if (size !== Infinity) return cb(err)
+        chunk = Math.floor(chunk / 2)
+        return loop()
+      }
+
+      to.write(offset, buf, function (err) {
+        if (err) return cb(err)
+        offset += buf.length
+        loop()
+      })
+    })
+  }
+}
+
+function noop () {}
@@ -0,0 +1,209 @@
+var from = require('from2')
+var flat = require('flat-tree')
+var Node = require('./storage').Node
+
+module.exports = Snapshot
+
+// A read-only view of a feed pinned at the length it had when the snapshot was made.
+// Appends are never visible through it. Truncating the feed invalidates it, since the
+// blocks it was pinned to might be gone.
+
+function Snapshot (feed) {
+  if (!(this instanceof Snapshot)) return new Snapshot(feed)
+
+  var self = this
+
+  this.feed = feed
+  this.key = feed.key
+  this.discoveryKey = feed.discoveryKey
+  this.length = 0
+  this.byteLength = 0
+  this.fork = 0
+  this.roots = null
+  this.opened = false
+
+  this._error = null
+  this._opening = []
+
+  if (feed.opened) this._pin()
+  else feed.ready(onready)
+
+  function onready (err) {
+    if (err) return self._onpin(err)
+    self._pin()
+  }
+}
+
+Snapshot.prototype._pin = function () {
+  var self = this
+  var feed = this.feed
+
+  this.key = feed.key
+  this.discoveryKey = feed.discoveryKey
+  this.length = feed.length
+  this.byteLength = feed.byteLength
+  this.fork = feed.fork
+
+  if (!this.length) return this._onpin(null)
+
+  // only a writer keeps its merkle roots up to date, and they run ahead of the length while an append is in flight
+  if (feed.writable && feed._merkle && rootsLength(feed._merkle.roots) === this.length) {
+    this.roots = feed._merkle.roots.map(function (root) {
+      return new Node(root.index, root.hash, root.size)
+    })
+    return this._onpin(null)
+  }
+
+  feed.rootHashes(this.length - 1, function (err, roots) {
+    if (!err) self.roots = roots
+    self._onpin(null)
+  })
+}
+
+Snapshot.prototype._onpin = function (err) {
+  if (err) this._error = err
+
+  var opening = this._opening
+  this.opened = true
+  this._opening = null
+  for (var i = 0; i < opening.length; i++) opening[i](this._error || null)
+}
+
+Snapshot.prototype.ready = function (cb) {
+  if (this._opening) this._opening.push(cb)
+  else process.nextTick(cb, this._error || null)
+}
+
+Snapshot.prototype.get = function (index, opts, cb) {
+  if (typeof opts === 'function') return this.get(index, null, opts)
+
+  var self = this
+
+  this._check(index + 1, function (err) {
+    if (err) return cb(err)
+    self.feed.get(index, opts, cb)
+  })
+}
+
+Snapshot.prototype.getBatch = function (start, end, opts, cb) {
+  if (typeof opts === 'function') return this.getBatch(start, end, null, opts)
+
+  var self = this
+
+  this._check(end, function (err) {
+    if (err) return cb(err)
+    self.feed.getBatch(start, end, opts, cb)
+  })
+}
+
+Snapshot.prototype.head = function (opts, cb) {
+  if (typeof opts === 'function') return this.head(null, opts)
+
+  var self = this
+
+  this.ready(function (err) {
+    if (err) return cb(err)
+    if (self.length === 0) return cb(new Error('feed is empty'))
+    self.get(self.length - 1, opts, cb)
+  })
+}
+
+Snapshot.prototype.seek = function (bytes, opts, cb) {
+  if (typeof opts === 'function') return this.seek(bytes, null, opts)
+
+  var self = this
+
+  this._check(0, function (err) {
+    if (err) return cb(err)
+    if (bytes > self.byteLength) return cb(new Error('Out of bounds'))
+    if (bytes === self.byteLength) return cb(null, self.length, 0)
+
+    // the bytes before the pinned byteLength never change, so seeking the feed itself gives the same result
+    var end = opts && typeof opts.end === 'number' ? Math.min(opts.end, self.length) : self.length
+    self.feed.seek(bytes, Object.assign({}, opts, { end: end }), cb)
+  })
+}
+
+Snapshot.prototype.rootHashes = function (index, cb) {
+  if (typeof index === 'function') return this.rootHashes(-1, index)
+
+  var self = this
+
+  this._check(index + 1, function (err) {
+    if (err) return cb(err)
+    if ((index === -1 || index === self.length - 1) && self.roots) return cb(null, self.roots)
+    if (index === -1) index = self.length - 1
+    if (index < 0) return cb(new Error('feed is empty'))
+    self.feed.rootHashes(index, cb)
+  })
+}
+
+Snapshot.prototype.createReadStream = function (opts) {
+  if (!opts) opts = {}
+
+  var self = this
+  var start = opts.start || 0
+  var end = typeof opts.end === 'number' ? opts.end : -1
+  var batch = opts.batch || 1
+  var opened = false
+  var range = null
+
+  var stream = from.obj(read).on('end', cleanup).on('close', cleanup)
+  return stream
+
+  function read (size, cb) {
+    if (!opened) return open(size, cb)
+    if (start >= end) return cb(null, null)
+
+    if (batch === 1) {
+      self.get(start++, opts, cb)
+      return
+    }
+
+    var batchEnd = Math.min(start + batch, end)
+
+    self.getBatch(start, batchEnd, opts, function (err, result) {
+      if (err) return cb(err)
+      for (var i = 0; i < result.length - 1; i++) stream.push(result[i])
+      cb(null, result[result.length - 1])
+    })
+
+    start = batchEnd
+  }
+
+  function open (size, cb) {
+    self._check(0, function (err) {
+      if (err) return cb(err)
+
+      if (opts.tail) start = self.length
+      end = end === -1 ? self.length : Math.min(end, self.length)
+      if (start < end) range = self.feed.download({ start: start, end: end, linear: true })
+      opened = true
+
+      read(size, cb)
+    })
+  }
+
+  function cleanup () {
+    if (!range) return
+    self.feed.undownload(range)
+    range = null
+  }
+}
+
+// Calls back with an error if end is past the snapshot or if the feed was truncated since
+Snapshot.prototype._check = function (end, cb) {
+  var self = this
+
+  this.ready(function (err) {
+    if (err) return cb(err)
+    if (self.feed.fork !== self.fork) return cb(new Error('Snapshot is no longer valid, the feed was truncated'))
+    if (end > self.length) return cb(new Error('Out of bounds'))
+    cb(null)
+  })
+}
+
+function rootsLength (roots) {
+  if (!roots.length) return 0
+  return flat.rightSpan(roots[roots.length - 1].index) / 2 + 1
+}
@@ -1,10 +1,20 @@
 var uint64be = require('uint64be')
 var flat = require('flat-tree')
+var crypto = require('ddatabase-crypto')
 var createCache = require('./cache')
+var DataMap = require('./data-map')
 
 module.exports = Storage
 
 var noarr = []
+var JOURNAL_HEADER_SIZE = 176
+var SIGNATURE_SIZE = 64
+var SIGNER_ENTRY_SIZE = 96
+var NODE_ENTRY_SIZE = 48
+var COMPACT_CHUNK_SIZE = 65536
+var COMPACTION_HEADER_SIZE = 56
+var SIGNATURES_PER_READ = 1024
+var FORK_ENTRY_SIZE = 80
 
 function Storage (create, opts) {
   if (!(this instanceof Storage)) return new Storage(create, opts)
@@ -19,7 +29,19 @@ function Storage (create, opts) {
   this.data = null
   this.bitfield = null
   this.signatures = null
+  this.journal = null
+  this.dataMap = null
+  this.dataMapFile = null
+  this.compaction = null
+  this.signaturesUpgrade = null
+  this.forks = null
+  this.manifest = null
+  this.signatureSize = SIGNATURE_SIZE
   this.create = create
+  this._createOptions = {} // what open passes to create, for the files that are only created when needed
+  this._compacting = null
+  this._upgrading = null
+  this.useJournal = !!opts.journal
 }
 
 Storage.prototype.putData = function (index, data, nodes, cb) {
@@ -29,7 +51,7 @@ Storage.prototype.putData = function (index, data, nodes, cb) {
   this.dataOffset(index, nodes, function (err, offset, size) {
     if (err) return cb(err)
     if (size !== data.length) return cb(new Error('Unexpected data size'))
-    self.data.write(offset, data, cb)
+    self.writeData(offset, data, cb)
   })
 }
 
@@ -39,7 +61,7 @@ Storage.prototype.getData = function (index, cb) {
   if (cached) return process.nextTick(cb, null, cached)
   this.dataOffset(index, noarr, function (err, offset, size) {
     if (err) return cb(err)
-    self.data.read(offset, size, (err, data) => {
+    self.readData(offset, size, (err, data) => {
       if (err) return cb(err)
       if (self.dataCache) self.dataCache.set(index, data)
       return cb(null, data)
@@ -50,28 +72,608 @@ Storage.prototype.getData = function (index, cb) {
 Storage.prototype.nextSignature = function (index, cb) {
   var self = this
 
-  this._getSignature(index, function (err, signature) {
+  this._getSignature(index, function (err, signature, signer) {
     if (err) return cb(err)
     if (isBlank(signature)) return self.nextSignature(index + 1, cb)
-    cb(null, { index: index, signature: signature })
+    if (signer) cb(null, { index: index, signature: signature, signer: signer })
+    else cb(null, { index: index, signature: signature })
   })
 }
 
+// Finds the last signature stored at or before index, reading them in chunks. Calls back with null if there is none
+Storage.prototype.prevSignature = function (index, cb) {
+  if (this._upgrading) return this._upgrading.push(this.prevSignature.bind(this, index, cb))
+  if (index < 0) return process.nextTick(cb, null, null)
+  if (this.signatures.statable !== true) return this._prevSignature(index, cb)
+
+  var self = this
+
+  // the file can end before index, so start at the last signature in it
+  this.signatures.stat(function (err, st) {
+    if (err) return cb(err)
+    self._prevSignature(Math.min(index, Math.floor((st.size - 32) / self.signatureSize) - 1), cb)
+  })
+}
+
+Storage.prototype._prevSignature = function (index, cb) {
+  if (this._upgrading) return this._upgrading.push(this.prevSignature.bind(this, index, cb))
+  if (index < 0) return process.nextTick(cb, null, null)
+
+  var self = this
+  var size = this.signatureSize
+  var start = Math.max(0, index - SIGNATURES_PER_READ + 1)
+  var length = size * (index - start + 1)
+
+  this.signatures.read(32 + size * start, length, function (err, buf) {
+    // past the end of a file we could not stat, so step back until we are in it
+    if ((err && isShortRead(err)) || (!err && buf.length < length)) return self._prevSignature(index - 1, cb)
+    if (err) return cb(err)
+
+    for (var i = index; i >= start; i--) {
+      var offset = (i - start) * size
+      var signature = buf.slice(offset, offset + SIGNATURE_SIZE)
+      if (isBlank(signature)) continue
+
+      var signer = size === SIGNATURE_SIZE ? null : buf.slice(offset + SIGNATURE_SIZE, offset + size)
+      if (signer && !isBlank(signer)) return cb(null, { index: i, signature: signature, signer: signer })
+      return cb(null, { index: i, signature: signature })
+    }
+
+    self._prevSignature(start - 1, cb)
+  })
+}
+
+// Calls back with the signature and, for multi-writer feeds, the public key of the writer that made it
 Storage.prototype.getSignature = function (index, cb) {
-  this._getSignature(index, function (err, signature) {
+  this._getSignature(index, function (err, signature, signer) {
     if (err) return cb(err)
     if (isBlank(signature)) return cb(new Error('No signature found'))
-    cb(null, signature)
+    cb(null, signature, signer)
   })
 }
 
 // Caching not enabled for signatures because they are rarely reused.
 Storage.prototype._getSignature = function (index, cb) {
-  this.signatures.read(32 + 64 * index, 64, cb)
+  if (this._upgrading) return this._upgrading.push(this._getSignature.bind(this, index, cb))
+
+  var size = this.signatureSize
+
+  this.signatures.read(32 + size * index, size, function (err, buf) {
+    if (err) return cb(err)
+    if (size === SIGNATURE_SIZE) return cb(null, buf, null)
+    var signer = buf.slice(SIGNATURE_SIZE)
+    cb(null, buf.slice(0, SIGNATURE_SIZE), isBlank(signer) ? null : signer)
+  })
+}
+
+Storage.prototype.putSignature = function (index, signature, signer, cb) {
+  if (typeof signer === 'function') return this.putSignature(index, signature, null, signer)
+  if (this._upgrading) return this._upgrading.push(this.putSignature.bind(this, index, signature, signer, cb))
+
+  var size = this.signatureSize
+  if (size === SIGNATURE_SIZE) return this.signatures.write(32 + size * index, signature, cb)
+
+  var buf = Buffer.alloc(size)
+  signature.copy(buf, 0)
+  if (signer) signer.copy(buf, SIGNATURE_SIZE)
+  this.signatures.write(32 + size * index, buf, cb)
+}
+
+// Makes room for the signer next to every signature, which multi-writer feeds need.
+// All existing signatures were made by the feed key, so that is recorded as their signer.
+// The upgraded entries are first written to the signatures_upgrade file, and only once that is complete
+// byte 4 of the signatures header is set and they are copied into place. If that is interrupted it is redone on open.
+Storage.prototype.upgradeSignatures = function (length, signer, cb) {
+  if (!cb) cb = noop
+  if (this._upgrading) return this._upgrading.push(this.upgradeSignatures.bind(this, length, signer, cb))
+  if (this.signatureSize !== SIGNATURE_SIZE) return process.nextTick(cb, null)
+
+  var self = this
+  var index = 0
+  var end = 0
+
+  if (!this.signaturesUpgrade) this.signaturesUpgrade = this.create('signatures_upgrade', this._createOptions)
+
+  this._upgrading = []
+  this._openManifest(loop)
+
+  function loop (err) {
+    if (err) return done(err)
+    if (index === length) return onstaged()
+
+    var i = index++
+    self.signatures.read(32 + SIGNATURE_SIZE * i, SIGNATURE_SIZE, function (err, signature) {
+      if (err) return loop(null) // a missing signature stays missing
+
+      var buf = Buffer.alloc(SIGNER_ENTRY_SIZE)
+      signature.copy(buf, 0)
+      if (!isBlank(signature)) signer.copy(buf, SIGNATURE_SIZE)
+      end = i + 1
+      self.signaturesUpgrade.write(32 + SIGNER_ENTRY_SIZE * i, buf, loop)
+    })
+  }
+
+  function onstaged () {
+    var h = header(1, SIGNER_ENTRY_SIZE, null)
+    uint64be.encode(end, h, 16)
+
+    self.signaturesUpgrade.write(0, h, function (err) {
+      if (err) return done(err)
+      // from here on the upgrade is finished on open if we crash
+      self.signatures.write(4, Buffer.from([1]), function (err) {
+        if (err) return done(err)
+        self._applySignaturesUpgrade(end, done)
+      })
+    })
+  }
+
+  function done (err) {
+    var queued = self._upgrading
+    if (!err) self.signatureSize = SIGNER_ENTRY_SIZE
+    self._upgrading = null
+    for (var i = 0; i < queued.length; i++) queued[i]()
+    cb(err)
+  }
+}
+
+// Copies staged signatures into place. Only reads from the signatures_upgrade file, so it can be run again and again
+Storage.prototype._applySignaturesUpgrade = function (length, cb) {
+  var self = this
+  var size = SIGNER_ENTRY_SIZE * length
+
+  copyData(this.signaturesUpgrade, 32, this.signatures, 32, size, function (err) {
+    if (err) return cb(err)
+    // the new entry size, and no longer in the middle of the upgrade
+    self.signatures.write(0, header(1, SIGNER_ENTRY_SIZE, null).slice(0, 7), function (err) {
+      if (err) return cb(err)
+      if (!self.signaturesUpgrade.del) return cb(null)
+      self.signaturesUpgrade.del(0, 32 + size, cb)
+    })
+  })
+}
+
+Storage.prototype._resumeSignaturesUpgrade = function (opts, cb) {
+  var self = this
+
+  if (!this.signaturesUpgrade) this.signaturesUpgrade = this.create('signatures_upgrade', opts)
+
+  this.signaturesUpgrade.read(0, 32, function (err, h) {
+    if (err) return cb(err)
+    self._applySignaturesUpgrade(uint64be.decode(h, 16), cb)
+  })
+}
+
+Storage.prototype.getManifest = function (cb) {
+  var self = this
+
+  this.manifest.read(0, 40, function (err, buf) {
+    if (err) return cb(null, null)
+    var size = uint64be.decode(buf, 32)
+    if (!size) return cb(null, null)
+    self.manifest.read(40, size, cb)
+  })
+}
+
+Storage.prototype.putManifest = function (buf, cb) {
+  if (!cb) cb = noop
+  var self = this
+
+  this._openManifest(function (err) {
+    if (err) return cb(err)
+    self.manifest.write(32, Buffer.concat([uint64be.encode(buf.length), buf]), cb)
+  })
+}
+
+// Every truncation of the feed, as its fork, the length it truncated to and the signature of a writer
+// (blank until signed). Blocks are encrypted for the fork they were written in, which these tell apart.
+Storage.prototype.getForks = function (cb) {
+  var self = this
+
+  this.forks.read(0, 32, function (err, h) {
+    if (err) return cb(null, [])
+    var count = uint64be.decode(h, 16)
+    if (!count) return cb(null, [])
+
+    self.forks.read(32, count * FORK_ENTRY_SIZE, function (err, buf) {
+      if (err) return cb(err)
+
+      var forks = new Array(count)
+      for (var i = 0; i < count; i++) {
+        var offset = i * FORK_ENTRY_SIZE
+        var signature = buf.slice(offset + 16, offset + FORK_ENTRY_SIZE)
+        forks[i] = {
+          fork: uint64be.decode(buf, offset),
+          length: uint64be.decode(buf, offset + 8),
+          signature: isBlank(signature) ? null : signature
+        }
+      }
+
+      cb(null, forks)
+    })
+  })
+}
+
+Storage.prototype.putForks = function (forks, cb) {
+  if (!cb) cb = noop
+
+  var self = this
+  var buf = Buffer.alloc(forks.length * FORK_ENTRY_SIZE)
+  var count = Buffer.alloc(8)
+
+  for (var i = 0; i < forks.length; i++) {
+    var offset = i * FORK_ENTRY_SIZE
+    uint64be.encode(forks[i].fork, buf, offset)
+    uint64be.encode(forks[i].length, buf, offset + 8)
+    if (forks[i].signature) forks[i].signature.copy(buf, offset + 16)
+  }
+
+  uint64be.encode(forks.length, count, 0)
+
+  if (this.forks) return onopen(null)
+  this.forks = this.create('forks', this._createOptions)
+  this.forks.write(0, header(8, FORK_ENTRY_SIZE, null), onopen)
+
+  function onopen (err) {
+    if (err) return cb(err)
+    if (!buf.length) return self.forks.write(16, count, cb)
+    self.forks.write(32, buf, function (err) {
+      if (err) return cb(err)
+      self.forks.write(16, count, cb)
+    })
+  }
+}
+
+Storage.prototype._openManifest = function (cb) {
+  if (this.manifest) return process.nextTick(cb, null)
+  this.manifest = this.create('manifest', this._createOptions)
+  this.manifest.write(0, header(6, 0, null), cb)
+}
+
+// The fork counter and the length it was truncated to live in the unused tail of the signatures header
+Storage.prototype.putFork = function (fork, length, cb) {
+  if (!cb) cb = noop
+  var buf = Buffer.alloc(16)
+  uint64be.encode(length, buf, 0)
+  uint64be.encode(fork, buf, 8)
+  this.signatures.write(16, buf, cb)
+}
+
+Storage.prototype.truncate = function (length, oldLength, byteOffset, byteLength, cb) {
+  if (!cb) cb = noop
+
+  var missing = 1
+  var error = null
+  var i = 0
+
+  // nodes at or after 2 * length, and the parents spanning across it, are no longer part of the tree
+  var start = 2 * length
+  var end = 2 * oldLength
+  var spanning = []
+
+  for (var parent = flat.parent(start); flat.rightSpan(parent) < end; parent = flat.parent(parent)) {
+    if (parent < start) spanning.push(parent)
+  }
+
+  for (i = 0; i < spanning.length; i++) {
+    missing++
+    this.tree.write(32 + 40 * spanning[i], Buffer.alloc(40), done)
+  }
+
+  if (this.treeCache) {
+    for (i = start; i < end; i++) this.treeCache.del(i)
+    for (i = 0; i < spanning.length; i++) this.treeCache.del(spanning[i])
+  }
+  if (this.dataCache) {
+    for (i = length; i < oldLength; i++) this.dataCache.del(i)
+  }
+
+  if (end > start) {
+    missing += 2
+    this.tree.write(32 + 40 * start, Buffer.alloc(40 * (end - start)), done)
+    this.signatures.write(32 + this.signatureSize * length, Buffer.alloc(this.signatureSize * (oldLength - length)), done)
+  }
+
+  if (byteOffset > -1 && byteLength > byteOffset) {
+    missing++
+    this.delData(byteOffset, byteLength - byteOffset, done)
+  }
+
+  done(null)
+
+  function done (err) {
+    if (err) error = err
+    if (--missing) return
+    cb(error)
+  }
+}
+
+// The data methods take byte offsets in the feed. Once the data file has been compacted
+// they are translated to offsets in the data file using the data map.
+
+Storage.prototype.readData = function (offset, size, cb) {
+  if (this._compacting) return this._compacting.push(this.readData.bind(this, offset, size, cb))
+  if (!this.dataMap) return this.data.read(offset, size, cb)
+
+  var pieces = this.dataMap.map(offset, size)
+  var i = 0
+
+  for (i = 0; i < pieces.length; i++) {
+    if (pieces[i].physical === -1) return process.nextTick(cb, new Error('Could not satisfy length'))
+  }
+
+  if (pieces.length === 1) return this.data.read(pieces[0].physical, size, cb)
+
+  var buf = Buffer.alloc(size)
+  var pending = pieces.length
+  var error = null
+
+  for (i = 0; i < pieces.length; i++) {
+    this.data.read(pieces[i].physical, pieces[i].length, oncopy(pieces[i].start - offset))
+  }
+
+  function oncopy (start) {
+    return function (err, data) {
+      if (err) error = err
+      else data.copy(buf, start)
+      if (--pending) return
+      if (error) return cb(error)
+      cb(null, buf)
+    }
+  }
+}
+
+Storage.prototype.writeData = function (offset, data, cb) {
+  if (!cb) cb = noop
+  if (this._compacting) return this._compacting.push(this.writeData.bind(this, offset, data, cb))
+  if (!this.dataMap) return this.data.write(offset, data, cb)
+
+  var changed = this.dataMap.allocate(offset, data.length)
+  var pieces = this.dataMap.map(offset, data.length)
+  var pending = pieces.length + 1
+  var error = null
+
+  for (var i = 0; i < pieces.length; i++) {
+    var piece = pieces[i]
+    var start = piece.start - offset
+    this.data.write(piece.physical, data.slice(start, start + piece.length), done)
+  }
+
+  this._putDataMapExtents(changed, done)
+
+  function done (err) {
+    if (err) error = err
+    if (--pending) return
+    cb(error)
+  }
+}
+
+Storage.prototype.delData = function (offset, size, cb) {
+  if (!cb) cb = noop
+  if (this._compacting) return this._compacting.push(this.delData.bind(this, offset, size, cb))
+  if (!this.dataMap) {
+    if (!this.data.del) return process.nextTick(cb, null) // Not all data storage impls del
+    return this.data.del(offset, size, cb)
+  }
+
+  var removed = this.dataMap.remove(offset, size)
+  var pending = 1
+  var error = null
+
+  if (this.data.del) {
+    for (var i = 0; i < removed.length; i++) {
+      pending++
+      this.data.del(removed[i].physical, removed[i].length, done)
+    }
+  }
+
+  if (removed.length) this._putDataMap(done)
+  else done(null)
+
+  function done (err) {
+    if (err) error = err
+    if (--pending) return
+    cb(error)
+  }
+}
+
+// Rewrites the data file so it only contains the given ranges of the feed, packed back to back.
+// The packed data and its map are first written to the compaction file, and only once that is complete
+// a flag in the bitfield header is set and the data is copied into place. If the copy is interrupted
+// it is redone from the compaction file on open. Other data reads and writes are queued until it is done.
+Storage.prototype.compact = function (ranges, byteLength, cb) {
+  if (!cb) cb = noop
+  if (this._compacting) return this._compacting.push(this.compact.bind(this, ranges, byteLength, cb))
+
+  var self = this
+  this._compacting = []
+  this._compact(ranges, byteLength, function (err, result) {
+    var queued = self._compacting
+    self._compacting = null
+    for (var i = 0; i < queued.length; i++) queued[i]()
+    cb(err, result)
+  })
+}
+
+Storage.prototype._compact = function (ranges, byteLength, cb) {
+  var self = this
+  var dataMap = this.dataMap || new DataMap([{ start: 0, physical: 0, length: byteLength }])
+  var pieces = []
+  var i = 0
+
+  for (i = 0; i < ranges.length; i++) {
+    var mapped = dataMap.map(ranges[i].start, ranges[i].end - ranges[i].start)
+    for (var j = 0; j < mapped.length; j++) {
+      if (mapped[j].physical > -1) pieces.push(mapped[j])
+    }
+  }
+
+  pieces.sort(byPhysical)
+
+  var extents = []
+  var physical = 0
+
+  for (i = 0; i < pieces.length; i++) {
+    var prev = extents.length ? extents[extents.length - 1] : null
+    var piece = pieces[i]
+
+    if (prev && prev.start + prev.length === piece.start && prev.physical + prev.length === physical) {
+      prev.length += piece.length
+    } else {
+      extents.push({ start: piece.start, physical: physical, length: piece.length, slot: 0 })
+    }
+
+    piece.to = physical
+    physical += piece.length
+  }
+
+  var staged = {
+    dataMap: new DataMap(extents),
+    byteLength: physical,
+    oldEnd: Math.max(dataMap.end, byteLength),
+    offset: COMPACTION_HEADER_SIZE + extents.length * DataMap.ENTRY_SIZE
+  }
+
+  if (!this.compaction) this.compaction = this.create('compaction', this._createOptions)
+
+  i = 0
+  stage(null)
+
+  function stage (err) {
+    if (err) return cb(err)
+    if (i === pieces.length) return self.compaction.write(0, encodeCompaction(staged), onstaged)
+
+    var piece = pieces[i++]
+    copyData(self.data, piece.physical, self.compaction, staged.offset + piece.to, piece.length, stage)
+  }
+
+  function onstaged (err) {
+    if (err) return cb(err)
+    // from here on the compaction is finished on open if we crash
+    self.bitfield.write(17, Buffer.from([1]), function (err) {
+      if (err) return cb(err)
+      self._applyCompaction(staged, cb)
+    })
+  }
+}
+
+// Copies a staged compaction into place. Only reads from the compaction file, so it can be run again and again
+Storage.prototype._applyCompaction = function (staged, cb) {
+  var self = this
+  var reclaimed = Math.max(0, staged.oldEnd - staged.byteLength)
+
+  copyData(this.compaction, staged.offset, this.data, 0, staged.byteLength, function (err) {
+    if (err) return cb(err)
+    self._openDataMap(onopen)
+  })
+
+  function onopen (err) {
+    if (err) return cb(err)
+    self.dataMap = staged.dataMap
+    self._putDataMap(function (err) {
+      if (err) return cb(err)
+      if (!reclaimed || !self.data.del) return onshrink(null)
+      self.data.del(staged.byteLength, reclaimed, onshrink)
+    })
+  }
+
+  function onshrink (err) {
+    if (err) return cb(err)
+    // compacted, and no longer in the middle of it
+    self.bitfield.write(16, Buffer.from([1, 0]), function (err) {
+      if (err) return cb(err)
+      if (!self.compaction.del) return ondone(null)
+      self.compaction.del(0, staged.offset + staged.byteLength, ondone)
+    })
+  }
+
+  function ondone (err) {
+    if (err) return cb(err)
+    cb(null, { byteLength: staged.byteLength, reclaimed: reclaimed })
+  }
 }
 
-Storage.prototype.putSignature = function (index, signature, cb) {
-  this.signatures.write(32 + 64 * index, signature, cb)
+Storage.prototype._resumeCompaction = function (opts, cb) {
+  var self = this
+
+  if (!this.compaction) this.compaction = this.create('compaction', opts)
+
+  this.compaction.read(0, COMPACTION_HEADER_SIZE, function (err, buf) {
+    if (err) return cb(err)
+
+    var count = uint64be.decode(buf, 32)
+    var staged = {
+      dataMap: null,
+      byteLength: uint64be.decode(buf, 40),
+      oldEnd: uint64be.decode(buf, 48),
+      offset: COMPACTION_HEADER_SIZE + count * DataMap.ENTRY_SIZE
+    }
+
+    if (!count) return onextents(null, null)
+    self.compaction.read(COMPACTION_HEADER_SIZE, count * DataMap.ENTRY_SIZE, onextents)
+
+    function onextents (err, extents) {
+      if (err) return cb(err)
+      staged.dataMap = extents ? DataMap.decode(extents, count) : new DataMap()
+      self._applyCompaction(staged, cb)
+    }
+  })
+}
+
+Storage.prototype._openDataMap = function (cb) {
+  if (this.dataMapFile) return process.nextTick(cb, null)
+  this.dataMapFile = this.create('data_map', this._createOptions)
+  this.dataMapFile.write(0, header(4, DataMap.ENTRY_SIZE, null), cb)
+}
+
+Storage.prototype._readDataMap = function (cb) {
+  var self = this
+
+  this.dataMapFile.read(0, 32, function (err, h) {
+    if (err) return cb(err)
+    var count = uint64be.decode(h, 16)
+    if (!count) return cb(null, new DataMap())
+    self.dataMapFile.read(32, count * DataMap.ENTRY_SIZE, function (err, buf) {
+      if (err) return cb(err)
+      cb(null, DataMap.decode(buf, count))
+    })
+  })
+}
+
+Storage.prototype._putDataMap = function (cb) {
+  var self = this
+  var buf = this.dataMap.encode()
+  var count = Buffer.alloc(8)
+
+  uint64be.encode(this.dataMap.slots, count, 0)
+
+  if (!buf.length) return this.dataMapFile.write(16, count, cb)
+
+  this.dataMapFile.write(32, buf, function (err) {
+    if (err) return cb(err)
+    self.dataMapFile.write(16, count, cb)
+  })
+}
+
+Storage.prototype._putDataMapExtents = function (extents, cb) {
+  if (!extents.length) return process.nextTick(cb, null)
+
+  var self = this
+  var pending = extents.length
+  var error = null
+  var count = Buffer.alloc(8)
+
+  uint64be.encode(this.dataMap.slots, count, 0)
+
+  for (var i = 0; i < extents.length; i++) {
+    this.dataMapFile.write(32 + extents[i].slot * DataMap.ENTRY_SIZE, this.dataMap.encodeExtent(extents[i]), done)
+  }
+
+  function done (err) {
+    if (err) error = err
+    if (--pending) return
+    if (error) return cb(error)
+    self.dataMapFile.write(16, count, cb)
+  }
 }
 
 Storage.prototype.dataOffset = function (index, cachedNodes, cb) {
@@ -139,7 +741,7 @@ Storage.prototype.getDataBatch = function (start, n, cb) {
         }
       }
 
-      self.data.read(offset, total, ondata)
+      self.readData(offset, total, ondata)
     }
 
     function ondata (err, buf) {
@@ -176,6 +778,20 @@ Storage.prototype.getNode = function (index, cb) {
   })
 }
 
+// Like getNode but bypasses the cache and calls back with a null node for an empty slot,
+// only erroring when reading past the end of the tree
+Storage.prototype.peekNode = function (index, cb) {
+  this.tree.read(32 + 40 * index, 40, function (err, buf) {
+    if (err) return cb(err)
+
+    var hash = buf.slice(0, 32)
+    var size = uint64be.decode(buf, 32)
+
+    if (!size && isBlank(hash)) return cb(null, null)
+    cb(null, new Node(index, hash, size))
+  })
+}
+
 Storage.prototype.putNodeBatch = function (index, nodes, cb) {
   if (!cb) cb = noop
 
@@ -206,13 +822,100 @@ Storage.prototype.putNode = function (index, node, cb) {
   this.tree.write(32 + 40 * index, buf, cb)
 }
 
+// The journal holds at most one pending append batch. The entry is checksummed so a torn write
+// is simply discarded on open, which means the batch never happened.
+Storage.prototype.putJournal = function (entry, cb) {
+  if (!cb) cb = noop
+
+  var dataLength = entry.data ? entry.data.length : 0
+  var buf = Buffer.alloc(JOURNAL_HEADER_SIZE + dataLength + NODE_ENTRY_SIZE * entry.nodes.length)
+
+  uint64be.encode(buf.length - JOURNAL_HEADER_SIZE, buf, 32)
+  uint64be.encode(entry.start, buf, 40)
+  uint64be.encode(entry.byteOffset, buf, 48)
+  uint64be.encode(entry.blocks, buf, 56)
+  uint64be.encode(dataLength, buf, 64)
+  uint64be.encode(entry.nodes.length, buf, 72)
+  if (entry.signature) entry.signature.copy(buf, 80)
+  if (entry.signer) entry.signer.copy(buf, 144)
+  if (entry.data) entry.data.copy(buf, JOURNAL_HEADER_SIZE)
+
+  for (var i = 0; i < entry.nodes.length; i++) {
+    var node = entry.nodes[i]
+    var offset = JOURNAL_HEADER_SIZE + dataLength + NODE_ENTRY_SIZE * i
+    uint64be.encode(node.index, buf, offset)
+    node.hash.copy(buf, offset + 8)
+    uint64be.encode(node.size, buf, offset + 40)
+  }
+
+  crypto.data(buf.slice(32)).copy(buf, 0)
+  this.journal.write(32, buf, cb)
+}
+
+Storage.prototype.getJournal = function (cb) {
+  var self = this
+
+  this.journal.read(32, JOURNAL_HEADER_SIZE, function (err, head) {
+    if (err || isBlank(head.slice(0, 32))) return cb(null, null)
+
+    self.journal.read(32 + JOURNAL_HEADER_SIZE, uint64be.decode(head, 32), function (err, body) {
+      if (err) return cb(null, null)
+
+      var checksum = crypto.data(Buffer.concat([head.slice(32), body]))
+      if (!checksum.equals(head.slice(0, 32))) return cb(null, null)
+
+      var dataLength = uint64be.decode(head, 64)
+      var nodes = new Array(uint64be.decode(head, 72))
+      var signature = head.slice(80, 144)
+      var signer = head.slice(144, 176)
+
+      for (var i = 0; i < nodes.length; i++) {
+        var offset = dataLength + NODE_ENTRY_SIZE * i
+        nodes[i] = new Node(uint64be.decode(body, offset), body.slice(offset + 8, offset + 40), uint64be.decode(body, offset + 40))
+      }
+
+      cb(null, {
+        start: uint64be.decode(head, 40),
+        byteOffset: uint64be.decode(head, 48),
+        blocks: uint64be.decode(head, 56),
+        data: dataLength ? body.slice(0, dataLength) : null,
+        nodes: nodes,
+        signature: isBlank(signature) ? null : signature,
+        signer: isBlank(signer) ? null : signer
+      })
+    })
+  })
+}
+
+Storage.prototype.clearJournal = function (cb) {
+  if (!cb) cb = noop
+  this.journal.write(32, Buffer.alloc(32), cb)
+}
+
+// Only the first 16 bytes of the signatures header are written, the rest holds the fork
+Storage.prototype.putAlgorithms = function (hash, signature, cb) {
+  if (!cb) cb = noop
+
+  var missing = 2
+  var error = null
+
+  this.tree.write(0, header(2, 40, hash), done)
+  this.signatures.write(0, header(1, this.signatureSize, signature).slice(0, 16), done)
+
+  function done (err) {
+    if (err) error = err
+    if (--missing) return
+    cb(error)
+  }
+}
+
 Storage.prototype.putBitfield = function (offset, data, cb) {
   this.bitfield.write(32 + offset, data, cb)
 }
 
 Storage.prototype.close = function (cb) {
   if (!cb) cb = noop
-  var missing = 6
+  var missing = 6 + (this.journal ? 1 : 0) + (this.dataMapFile ? 1 : 0) + (this.compaction ? 1 : 0) + (this.signaturesUpgrade ? 1 : 0) + (this.forks ? 1 : 0) + (this.manifest ? 1 : 0)
   var error = null
 
   close(this.bitfield, done)
@@ -221,6 +924,12 @@ Storage.prototype.close = function (cb) {
   close(this.key, done)
   close(this.secretKey, done)
   close(this.signatures, done)
+  if (this.journal) close(this.journal, done)
+  if (this.dataMapFile) close(this.dataMapFile, done)
+  if (this.compaction) close(this.compaction, done)
+  if (this.signaturesUpgrade) close(this.signaturesUpgrade, done)
+  if (this.forks) close(this.forks, done)
+  if (this.manifest) close(this.manifest, done)
 
   function done (err) {
     if (err) error = err
@@ -231,7 +940,7 @@ Storage.prototype.close = function (cb) {
 
 Storage.prototype.destroy = function (cb) {
   if (!cb) cb = noop
-  var missing = 6
+  var missing = 6 + (this.journal ? 1 : 0) + (this.dataMapFile ? 1 : 0) + (this.compaction ? 1 : 0) + (this.signaturesUpgrade ? 1 : 0) + (this.forks ? 1 : 0) + (this.manifest ? 1 : 0)
   var error = null
 
   destroy(this.bitfield, done)
@@ -240,6 +949,12 @@ Storage.prototype.destroy = function (cb) {
   destroy(this.key, done)
   destroy(this.secretKey, done)
   destroy(this.signatures, done)
+  if (this.journal) destroy(this.journal, done)
+  if (this.dataMapFile) destroy(this.dataMapFile, done)
+  if (this.compaction) destroy(this.compaction, done)
+  if (this.signaturesUpgrade) destroy(this.signaturesUpgrade, done)
+  if (this.forks) destroy(this.forks, done)
+  if (this.manifest) destroy(this.manifest, done)
 
   function done (err) {
     if (err) error = err
@@ -250,6 +965,7 @@ Storage.prototype.destroy = function (cb) {
 
 Storage.prototype.openKey = function (opts, cb) {
   if (typeof opts === 'function') return this.openKey({}, opts)
+  this._createOptions = opts
   if (!this.key) this.key = this.create('key', opts)
   this.key.read(0, 32, cb)
 }
@@ -261,34 +977,113 @@ Storage.prototype.open = function (opts, cb) {
   var error = null
   var missing = 5
 
+  this._createOptions = opts
+
   if (!this.key) this.key = this.create('key', opts)
   if (!this.secretKey) this.secretKey = this.create('secret_key', opts)
   if (!this.tree) this.tree = this.create('tree', opts)
   if (!this.data) this.data = this.create('data', opts)
   if (!this.bitfield) this.bitfield = this.create('bitfield', opts)
   if (!this.signatures) this.signatures = this.create('signatures', opts)
+  if (!this.journal && this.useJournal) this.journal = this.create('journal', opts)
 
   var result = {
     bitfield: [],
     bitfieldPageSize: 3584, // we upgraded the page size to fix a bug
     secretKey: null,
-    key: null
+    key: null,
+    hash: null,
+    signature: null,
+    manifest: null,
+    fork: 0,
+    forkLength: 0,
+    forks: []
   }
 
   this.bitfield.read(0, 32, function (err, h) {
     if (err && err.code === 'ELOCKED') return cb(err)
     if (h) result.bitfieldPageSize = h.readUInt16BE(5)
-    self.bitfield.write(0, header(0, result.bitfieldPageSize, null), function (err) {
+
+    // byte 16 of the bitfield header is set once the data file has been compacted,
+    // byte 17 while a compaction is being copied into place, which has to be finished first
+    if (!h || h[17] !== 1) return onheader(!!(h && h[16] === 1))
+
+    self._resumeCompaction(opts, function (err) {
+      if (err) return done(err)
+      onheader(true)
+    })
+  })
+
+  function onheader (compacted) {
+    var buf = header(0, result.bitfieldPageSize, null)
+    if (compacted) buf[16] = 1
+
+    if (compacted && !self.dataMap) {
+      missing++
+      self.dataMapFile = self.create('data_map', opts)
+      self._readDataMap(function (err, dataMap) {
+        if (dataMap) self.dataMap = dataMap
+        done(err)
+      })
+    }
+
+    self.bitfield.write(0, buf, function (err) {
       if (err) return cb(err)
       readAll(self.bitfield, 32, result.bitfieldPageSize, function (err, pages) {
         if (pages) result.bitfield = pages
         done(err)
       })
     })
+  }
+
+  // the headers themselves are written by putAlgorithms, once the feed has settled on its algorithms
+  this.signatures.read(0, 32, function (_, h) {
+    if (!h) return done(null)
+
+    result.signature = headerName(h)
+    result.forkLength = uint64be.decode(h, 16)
+    result.fork = uint64be.decode(h, 24)
+
+    if (result.fork) {
+      missing++
+      self.forks = self.create('forks', opts)
+      self.getForks(function (err, forks) {
+        if (forks) result.forks = forks
+        done(err)
+      })
+    }
+
+    // byte 4 is set while upgraded signatures are being copied into place, which has to be finished first
+    if (h[4] === 1) {
+      return self._resumeSignaturesUpgrade(opts, function (err) {
+        if (err) return done(err)
+        onsigner()
+      })
+    }
+
+    // signatures of multi-writer feeds are stored together with their signer
+    if (h.readUInt16BE(5) !== SIGNER_ENTRY_SIZE) return done(null)
+    onsigner()
+  })
+
+  function onsigner () {
+    self.signatureSize = SIGNER_ENTRY_SIZE
+    self.manifest = self.create('manifest', opts)
+    self.getManifest(function (err, manifest) {
+      if (manifest) result.manifest = manifest
+      done(err)
+    })
+  }
+
+  this.tree.read(0, 32, function (_, h) {
+    if (h) result.hash = headerName(h)
+    done(null)
   })
 
-  this.signatures.write(0, header(1, 64, 'Ed25519'), done)
-  this.tree.write(0, header(2, 40, 'BLAKE2b'), done)
+  if (this.journal) {
+    missing++
+    this.journal.write(0, header(3, 0, null), done)
+  }
 
   // TODO: Improve the error handling here.
   // I.e. if secretKey length === 64 and it fails, error
@@ -332,13 +1127,17 @@ function header (type, size, name) {
 
   if (name) {
     // algo name
-    buf[7] = name.length
-    buf.write(name, 8)
+    buf[7] = buf.write(name, 8)
   }
 
   return buf
 }
 
+function headerName (h) {
+  if (!h[7] || h[7] > 24) return null
+  return h.toString('utf-8', 8, 8 + h[7])
+}
+
 function Node (index, hash, size) {
   this.index = index
   this.hash = hash
@@ -352,6 +1151,10 @@ function findNode (nodes, index) {
   return null
 }
 
+function isShortRead (err) {
+  return err.code === 'EPARTIALREAD' || err.message === 'Could not satisfy length'
+}
+
 function isBlank (buf) {
   for (var i = 0; i < buf.length; i++) {
     if (buf[i]) return false
@@ -359,6 +1162,37 @@ function isBlank (buf) {
   return true
 }
 
+function byPhysical (a, b) {
+  return a.physical - b.physical
+}
+
+function copyData (src, from, dst, to, length, cb) {
+  var offset = 0
+
+  loop(null)
+
+  function loop (err) {
+    if (err) return cb(err)
+    if (offset === length) return cb(null)
+
+    var size = Math.min(COMPACT_CHUNK_SIZE, length - offset)
+    src.read(from + offset, size, function (err, buf) {
+      if (err) return cb(err)
+      dst.write(to + offset, buf, loop)
+      offset += size
+    })
+  }
+}
+
+// the header of the compaction file, followed by the extents of the new data map and then the packed data
+function encodeCompaction (staged) {
+  var buf = Buffer.concat([header(7, 0, null), Buffer.alloc(24), staged.dataMap.encode()])
+  uint64be.encode(staged.dataMap.extents.length, buf, 32)
+  uint64be.encode(staged.byteLength, buf, 40)
+  uint64be.encode(staged.oldEnd, buf, 48)
+  return buf
+}
+
 function close (st, cb) {
   if (st.close) st.close(cb)
   else cb()
@@ -0,0 +1,117 @@
+module.exports = Throttle
+
+// A token bucket limiting a rate in bytes per second, holding at most one second worth of tokens.
+// Tokens can go negative, so a block bigger than the bucket never gets stuck, it just delays what comes after it.
+// A rate of 0 means unlimited.
+
+function Throttle (rate) {
+  if (!(this instanceof Throttle)) return new Throttle(rate)
+
+  this.rate = 0
+  this.tokens = 0
+  this.throttledTime = 0 // total ms spent waiting for tokens
+
+  this._updated = Date.now()
+  this._waiting = []
+  this._timer = null
+  this._destroyed = false
+
+  this.setRate(rate)
+}
+
+Throttle.prototype.setRate = function (rate) {
+  var limited = this.rate > 0
+
+  if (limited) this._refill()
+  this.rate = rate > 0 ? rate : 0
+
+  if (!limited) {
+    this.tokens = this.rate
+    this._updated = Date.now()
+  } else if (this.tokens > this.rate) {
+    this.tokens = this.rate
+  }
+
+  if (this._timer) clearTimeout(this._timer)
+  this._timer = null
+  this._drain()
+}
+
+Throttle.prototype.available = function () {
+  if (!this.rate) return true
+  this._refill()
+  return this.tokens > 0 && !this._waiting.length
+}
+
+Throttle.prototype.consume = function (bytes) {
+  if (!this.rate) return
+  this._refill()
+  this.tokens -= bytes
+}
+
+// Calls back with the number of ms waited once there are tokens left.
+// The owner is only used to cancel the wait, see cancel
+Throttle.prototype.wait = function (fn, owner) {
+  if (this._destroyed) return
+  if (this.available()) return fn(0)
+  this._waiting.push({ time: Date.now(), callback: fn, owner: owner || null })
+  this._schedule()
+}
+
+Throttle.prototype.take = function (bytes, fn, owner) {
+  var self = this
+
+  this.wait(function (waited) {
+    self.consume(bytes)
+    fn(waited)
+  }, owner)
+}
+
+// Drops the waits of an owner without calling them back
+Throttle.prototype.cancel = function (owner) {
+  this._waiting = this._waiting.filter(function (w) {
+    return w.owner !== owner
+  })
+
+  if (this._waiting.length || !this._timer) return
+  clearTimeout(this._timer)
+  this._timer = null
+}
+
+// Drops all waits and stops the timer, for when the peer or feed it limits is closed
+Throttle.prototype.destroy = function () {
+  this._destroyed = true
+  this._waiting = []
+  if (this._timer) clearTimeout(this._timer)
+  this._timer = null
+}
+
+Throttle.prototype._refill = function () {
+  var now = Date.now()
+  this.tokens = Math.min(this.rate, this.tokens + (now - this._updated) * this.rate / 1000)
+  this._updated = now
+}
+
+Throttle.prototype._schedule = function () {
+  if (this._timer || !this._waiting.length) return
+  var delay = Math.max(1, Math.ceil((1 - this.tokens) * 1000 / this.rate))
+  this._timer = setTimeout(ondrain, delay, this)
+}
+
+Throttle.prototype._drain = function () {
+  if (this.rate) this._refill()
+
+  while (this._waiting.length && (!this.rate || this.tokens > 0)) {
+    var w = this._waiting.shift()
+    var waited = Date.now() - w.time
+    this.throttledTime += waited
+    w.callback(waited)
+  }
+
+  this._schedule()
+}
+
+function ondrain (self) {
+  self._timer = null
+  self._drain()
+}
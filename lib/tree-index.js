@@ -67,6 +67,30 @@ TreeIndex.prototype.proof = function (index, opts) {
   return { nodes: nodes, verifiedBy: 0 }
 }
 
+// Proof for all the blocks in [start, end), without assuming anything about what the remote has.
+// The nodes are the ones needed to hash the blocks up to the roots the range is verified by.
+TreeIndex.prototype.rangeProof = function (start, end) {
+  if (end <= start) return null
+
+  var first = 2 * start
+  var last = 2 * (end - 1)
+
+  for (var i = first; i <= last; i += 2) {
+    if (!this.get(i)) return null
+  }
+
+  var verifiedBy = this.verifiedBy(last)
+  var roots = flat.fullRoots(verifiedBy)
+  var nodes = []
+
+  for (i = 0; i < roots.length; i++) {
+    if (!addRangeNodes(this, roots[i], first, last, nodes)) return null
+  }
+
+  nodes.sort(ascending)
+  return { nodes: nodes, verifiedBy: verifiedBy }
+}
+
 TreeIndex.prototype.digest = function (index) {
   if (this.get(index)) return 1
 
@@ -154,6 +178,41 @@ TreeIndex.prototype.set = function (index) {
   return true
 }
 
+TreeIndex.prototype.truncate = function (length) {
+  var start = 2 * length
+
+  // unset everything at or after the new end, and every parent spanning across it
+  for (var i = start; i < this.bitfield.length; i++) {
+    if (this.bitfield.get(i)) this.bitfield.set(i, false)
+  }
+
+  var parent = start
+  while (flat.leftSpan(parent) > 0 || flat.rightSpan(parent) < this.bitfield.length) {
+    parent = flat.parent(parent)
+    if (parent < start && this.bitfield.get(parent)) this.bitfield.set(parent, false)
+  }
+}
+
+function addRangeNodes (tree, index, first, last, nodes) {
+  var left = flat.leftSpan(index)
+  var right = flat.rightSpan(index)
+
+  if (left >= first && right <= last) return true // can be hashed from the blocks
+
+  if (right < first || left > last) {
+    if (!tree.get(index)) return false
+    nodes.push(index)
+    return true
+  }
+
+  return addRangeNodes(tree, flat.leftChild(index), first, last, nodes) &&
+    addRangeNodes(tree, flat.rightChild(index), first, last, nodes)
+}
+
+function ascending (a, b) {
+  return a - b
+}
+
 function rightShift (n) {
   return (n - (n & 1)) / 2
 }
@@ -0,0 +1,169 @@
+/* global AbortController */
+
+var tape = require('tape')
+var getEventListeners = require('events').getEventListeners
+var Protocol = require('ddatabase-protocol')
+var create = require('./helpers/create')
+var replicate = require('./helpers/replicate')
+
+tape('abort a get', function (t) {
+  var feed = create()
+  var controller = new AbortController()
+
+  feed.get(0, { signal: controller.signal }, function (err) {
+    t.same(err.code, 'ECANCELED')
+    t.same(feed._waiting.length, 0, 'no longer waiting')
+    t.end()
+  })
+
+  feed.ready(function () {
+    t.same(feed._waiting.length, 1)
+    controller.abort()
+  })
+})
+
+tape('abort an update', function (t) {
+  var feed = create()
+  var controller = new AbortController()
+
+  feed.update({ signal: controller.signal }, function (err) {
+    t.same(err.code, 'ECANCELED')
+    t.same(feed._waiting.length, 0, 'no longer waiting')
+    t.end()
+  })
+
+  feed.ready(function () {
+    setImmediate(function () {
+      t.same(feed._waiting.length, 1)
+      controller.abort()
+    })
+  })
+})
+
+tape('abort a seek', function (t) {
+  var feed = create()
+
+  feed.append(['aa', 'bb'], function () {
+    var clone = create(feed.key, { sparse: true })
+    var controller = new AbortController()
+
+    clone.seek(3, { signal: controller.signal }, function (err) {
+      t.same(err.code, 'ECANCELED')
+      t.same(clone._waiting.length, 0, 'no longer waiting')
+      t.end()
+    })
+
+    clone.ready(function () {
+      setImmediate(function () {
+        t.same(clone._waiting.length, 1)
+        controller.abort()
+      })
+    })
+  })
+})
+
+tape('abort a download', function (t) {
+  var feed = create()
+  var controller = new AbortController()
+
+  feed.ready(function () {
+    var clone = create(feed.key, { sparse: true })
+    var selections = 0
+
+    clone.ready(function () {
+      selections = clone._selections.length
+
+      clone.download({ start: 0, end: 10, signal: controller.signal }, function (err) {
+        t.same(err.code, 'ECANCELED')
+        t.same(clone._selections.length, selections, 'no longer downloading')
+        t.end()
+      })
+
+      controller.abort()
+    })
+  })
+})
+
+tape('aborting releases the requested blocks', function (t) {
+  var feed = create()
+
+  feed.append('a', function () {
+    var clone = create(feed.key, { sparse: true })
+    var mute = new Protocol(false)
+    var stream = clone.replicate(true, { live: true })
+    var controller = new AbortController()
+
+    var ch = mute.open(feed.key, {
+      onwant () {
+        ch.have({ start: 0, length: 1 })
+      },
+      onrequest () {
+        t.ok(clone._reserved.get(0), 'block is reserved')
+        controller.abort()
+      },
+      oncancel (cancel) {
+        t.same(cancel.index, 0, 'the request was cancelled at the peer')
+        mute.destroy()
+      }
+    })
+
+    mute.on('error', function () {})
+    stream.on('error', function () {})
+    stream.on('close', function () {
+      t.end()
+    })
+    mute.pipe(stream).pipe(mute)
+
+    clone.get(0, { signal: controller.signal }, function (err) {
+      t.same(err.code, 'ECANCELED')
+      t.notOk(clone._reserved.get(0), 'block is no longer reserved')
+    })
+  })
+})
+
+tape('already aborted signals', function (t) {
+  var feed = create()
+  var controller = new AbortController()
+
+  controller.abort()
+  t.plan(4)
+
+  feed.append('a', function () {
+    feed.get(0, { signal: controller.signal }, function (err) {
+      t.same(err.code, 'ECANCELED', 'get')
+    })
+
+    feed.update({ signal: controller.signal }, function (err) {
+      t.same(err.code, 'ECANCELED', 'update')
+    })
+
+    feed.seek(0, { signal: controller.signal }, function (err) {
+      t.same(err.code, 'ECANCELED', 'seek')
+    })
+
+    feed.download({ start: 0, end: 10, signal: controller.signal }, function (err) {
+      t.same(err.code, 'ECANCELED', 'download')
+    })
+  })
+})
+
+tape('signals are not kept once done', function (t) {
+  var feed = create()
+  var controller = new AbortController()
+
+  feed.append('a', function () {
+    var clone = create(feed.key, { sparse: true })
+    var stream = replicate(feed, clone, { live: true })
+
+    clone.get(0, { signal: controller.signal }, function (err, data) {
+      t.error(err, 'no error')
+      t.same(data, Buffer.from('a'))
+
+      setImmediate(function () {
+        t.same(getEventListeners(controller.signal, 'abort').length, 0, 'stopped listening')
+        stream.finalize()
+        t.end()
+      })
+    })
+  })
+})
@@ -0,0 +1,212 @@
+var tape = require('tape')
+var ddatabase = require('../')
+var nodeCrypto = require('crypto')
+var create = require('./helpers/create')
+var createStorage = require('./helpers/create-storage')
+var replicate = require('./helpers/replicate')
+
+tape('append and verify with SHA-256', function (t) {
+  var feed = create({ hash: 'SHA-256' })
+
+  feed.append(['hello', 'world'], function (err) {
+    t.error(err, 'no error')
+    t.same(feed.hashAlgorithm, 'SHA-256')
+    t.same(feed.signatureAlgorithm, 'Ed25519')
+
+    feed.signature(function (err, sig) {
+      t.error(err, 'no error')
+
+      feed.verify(1, sig.signature, function (err, valid) {
+        t.error(err, 'no error')
+        t.ok(valid, 'signature is valid')
+        t.end()
+      })
+    })
+  })
+})
+
+tape('reopening uses the stored algorithms', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(storage, { hash: 'SHA-256' })
+
+  feed.append(['a', 'b', 'c'], function () {
+    var reopened = ddatabase(storage)
+
+    reopened.get(2, function (err, data) {
+      t.error(err, 'no error')
+      t.same(data, Buffer.from('c'))
+      t.same(reopened.hashAlgorithm, 'SHA-256')
+
+      reopened.append('d', function (err) {
+        t.error(err, 'no error')
+
+        var other = ddatabase(storage, { hash: 'BLAKE2b' })
+
+        other.on('error', function () {})
+        other.ready(function (err) {
+          t.ok(err, 'cannot reopen with other algorithms')
+          t.end()
+        })
+      })
+    })
+  })
+})
+
+tape('unknown algorithms throw', function (t) {
+  t.throws(function () {
+    create({ hash: 'MD5' })
+  })
+  t.throws(function () {
+    create({ signature: 'RSA' })
+  })
+  t.end()
+})
+
+tape('replicate SHA-256 feeds', function (t) {
+  var feed = create({ hash: 'SHA-256' })
+
+  feed.append(['a', 'b', 'c'], function () {
+    var clone = create(feed.key, { hash: 'SHA-256' })
+
+    replicate(feed, clone).on('end', function () {
+      t.same(clone.length, 3)
+      clone.get(2, function (err, data) {
+        t.error(err, 'no error')
+        t.same(data, Buffer.from('c'))
+        t.end()
+      })
+    })
+  })
+})
+
+tape('a clone adopts the algorithms of the feed', function (t) {
+  var feed = create({ hash: 'SHA-256' })
+
+  feed.append(['a', 'b', 'c'], function () {
+    var clone = create(feed.key)
+
+    replicate(feed, clone).on('end', function () {
+      t.same(clone.hashAlgorithm, 'SHA-256')
+      t.same(clone.length, 3)
+      clone.get(0, function (err, data) {
+        t.error(err, 'no error')
+        t.same(data, Buffer.from('a'))
+        t.end()
+      })
+    })
+  })
+})
+
+tape('a clone stores the adopted algorithms once data verifies', function (t) {
+  var feed = create({ hash: 'SHA-256' })
+
+  feed.append(['a', 'b', 'c'], function () {
+    var storage = createStorage()
+    var clone = ddatabase(storage, feed.key)
+
+    replicate(feed, clone).on('end', function () {
+      t.same(clone.length, 3)
+
+      var reopened = ddatabase(storage, feed.key)
+      reopened.get(2, function (err, data) {
+        t.error(err, 'no error')
+        t.same(data, Buffer.from('c'))
+        t.same(reopened.hashAlgorithm, 'SHA-256')
+        t.end()
+      })
+    })
+  })
+})
+
+tape('algorithms adopted without verified data are not stored or enforced', function (t) {
+  var feed = create()
+  var storage = createStorage()
+
+  feed.ready(function () {
+    var clone = ddatabase(storage, feed.key)
+
+    clone.ready(function () {
+      var peer = {
+        remotePublicKey: null,
+        destroy: function () {
+          t.fail('peer was disconnected')
+        }
+      }
+
+      clone.on('peer-misbehave', function () {
+        t.fail('counted as misbehaviour')
+      })
+
+      clone._onalgorithms({ hash: 'SHA-256', signature: 'Ed25519' }, peer)
+      t.same(clone.hashAlgorithm, 'SHA-256', 'adopted')
+
+      for (var i = 0; i < 5; i++) clone._onmisbehave(peer, 'checksum', new Error('Remote checksum failed'))
+
+      storage.files.tree.read(0, 32, function (err, header) {
+        t.error(err, 'no error')
+        t.same(header.indexOf('SHA-256'), -1, 'not stored')
+        t.end()
+      })
+    })
+  })
+})
+
+tape('peers with other algorithms are disconnected', function (t) {
+  var feed = create({ hash: 'SHA-256' })
+
+  feed.append(['a', 'b', 'c'], function () {
+    var clone = create(feed.key, { hash: 'BLAKE2b' })
+    var a = feed.replicate(false)
+    var b = clone.replicate(true)
+
+    a.on('error', function () {})
+    b.on('error', function () {})
+    a.pipe(b).pipe(a)
+
+    a.on('close', function () {
+      t.same(clone.length, 0, 'nothing was downloaded')
+      t.end()
+    })
+  })
+})
+
+tape('custom hash', function (t) {
+  var sha512 = {
+    name: 'SHA-512/256',
+    hash: function (buffers) {
+      var hash = nodeCrypto.createHash('sha512')
+      for (var i = 0; i < buffers.length; i++) hash.update(buffers[i])
+      return hash.digest().slice(0, 32)
+    }
+  }
+
+  var feed = create({ hash: sha512 })
+
+  feed.append(['a', 'b'], function (err) {
+    t.error(err, 'no error')
+    t.same(feed.hashAlgorithm, 'SHA-512/256')
+
+    var clone = create(feed.key, { hash: sha512 })
+
+    replicate(feed, clone).on('end', function () {
+      clone.get(1, function (err, data) {
+        t.error(err, 'no error')
+        t.same(data, Buffer.from('b'))
+
+        feed.exportProof(0, 2, function (err, bundle) {
+          t.error(err, 'no error')
+
+          ddatabase.verifyProof(bundle, { key: feed.key }, function (err) {
+            t.ok(err, 'unknown hash without the custom scheme')
+
+            ddatabase.verifyProof(bundle, { key: feed.key, hash: sha512 }, function (err, proof) {
+              t.error(err, 'no error')
+              t.same(proof.hash, 'SHA-512/256')
+              t.end()
+            })
+          })
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,229 @@
+var tape = require('tape')
+var ddatabase = require('../')
+var create = require('./helpers/create')
+var createStorage = require('./helpers/create-storage')
+var replicate = require('./helpers/replicate')
+
+tape('compact reclaims cleared data', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(storage)
+
+  feed.append(['aaaa', 'bbbb', 'cccc', 'dddd', 'eeee'], function () {
+    feed.clear(1, 3, function () {
+      feed.compact(function (err, report) {
+        t.error(err, 'no error')
+        t.same(report, { byteLength: 12, reclaimed: 8 })
+        t.same(storage.files.data.length, 12, 'data file shrunk')
+        t.same(feed.byteLength, 20, 'feed is unchanged')
+
+        feed.getBatch(3, 5, function (err, blocks) {
+          t.error(err, 'no error')
+          t.same(blocks.map(String), ['dddd', 'eeee'])
+
+          var reopened = ddatabase(storage)
+          reopened.get(0, function (err, data) {
+            t.error(err, 'no error')
+            t.same(data, Buffer.from('aaaa'))
+            t.notOk(reopened.has(1))
+
+            reopened.seek(17, function (err, index, offset) {
+              t.error(err, 'no error')
+              t.same(index, 4)
+              t.same(offset, 1)
+              t.end()
+            })
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('compact without cleared data', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c'], function () {
+    feed.compact(function (err, report) {
+      t.error(err, 'no error')
+      t.same(report, { byteLength: 3, reclaimed: 0 })
+      t.end()
+    })
+  })
+})
+
+tape('append, clear and truncate after compact', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(storage)
+
+  feed.append(['aa', 'bb', 'cc'], function () {
+    feed.clear(0, function () {
+      feed.compact(function (err) {
+        t.error(err, 'no error')
+
+        feed.append(['dd', 'ee'], function (err) {
+          t.error(err, 'no error')
+          t.same(storage.files.data.length, 8)
+
+          feed.clear(2, function () {
+            feed.truncate(4, function (err) {
+              t.error(err, 'no error')
+              t.same(storage.files.data.length, 6, 'truncate shrinks the data file')
+
+              var reopened = ddatabase(storage)
+              reopened.getBatch(3, 4, function (err, blocks) {
+                t.error(err, 'no error')
+                t.same(blocks.map(String), ['dd'])
+                t.ok(reopened.has(1))
+                reopened.get(1, function (err, data) {
+                  t.error(err, 'no error')
+                  t.same(data, Buffer.from('bb'))
+                  t.end()
+                })
+              })
+            })
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('download into a compacted feed', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c', 'd', 'e', 'f'], function () {
+    var clone = create(feed.key, { sparse: true })
+
+    replicate(feed, clone, { live: true })
+
+    clone.download({ start: 0, end: 2 }, function () {
+      clone.download({ start: 4, end: 6 }, function () {
+        clone.compact(function (err, report) {
+          t.error(err, 'no error')
+          t.same(report.byteLength, 4)
+
+          clone.getBatch(2, 4, function (err, blocks) {
+            t.error(err, 'no error')
+            t.same(blocks.map(String), ['c', 'd'])
+
+            clone.getBatch(0, 6, function (err, blocks) {
+              t.error(err, 'no error')
+              t.same(blocks.map(String), ['a', 'b', 'c', 'd', 'e', 'f'])
+              t.end()
+            })
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('append while compacting', function (t) {
+  var feed = create()
+
+  feed.append(['aaaa', 'bbbb', 'cccc', 'dddd'], function () {
+    feed.clear(1, function () {
+      var missing = 3
+
+      feed.append('eeee', done)
+      feed.compact(function (err, report) {
+        t.error(err, 'no error')
+        done()
+      })
+      feed.append('ffff', done)
+
+      function done (err) {
+        t.error(err, 'no error')
+        if (--missing) return
+
+        feed.getBatch(2, 6, function (err, blocks) {
+          t.error(err, 'no error')
+          t.same(blocks.map(String), ['cccc', 'dddd', 'eeee', 'ffff'])
+
+          feed.audit(function (err, report) {
+            t.error(err, 'no error')
+            t.same(report, { valid: 5, invalid: 0 })
+            t.end()
+          })
+        })
+      }
+    })
+  })
+})
+
+tape('compaction passes the storage options to the files it creates', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(function (name, opts) {
+    if ((name === 'compaction' || name === 'data_map') && !(opts && opts.key)) t.fail('no options for ' + name)
+    return storage(name)
+  })
+
+  feed.append(['a', 'b', 'c'], function () {
+    feed.clear(0, function () {
+      feed.compact(function (err) {
+        t.error(err, 'no error')
+        t.ok(storage.files.compaction && storage.files.data_map, 'created the files')
+        t.end()
+      })
+    })
+  })
+})
+
+tape('compaction is finished on open after a crash', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(storage)
+
+  feed.append(['aaaa', 'bbbb', 'cccc', 'dddd', 'eeee'], function () {
+    feed.clear(0, function () {
+      // everything after the first write to the data file is lost
+      storage.onwrite = function (name) {
+        if (name === 'data') storage.crashed = true
+      }
+
+      feed.compact(function (err) {
+        t.error(err, 'no error')
+        storage.onwrite = null
+        storage.crashed = false
+
+        var reopened = ddatabase(storage)
+        reopened.getBatch(1, 5, function (err, blocks) {
+          t.error(err, 'no error')
+          t.same(blocks.map(String), ['bbbb', 'cccc', 'dddd', 'eeee'])
+          t.notOk(reopened.has(0))
+          t.same(storage.files.data.length, 16, 'data file shrunk')
+
+          var again = ddatabase(storage)
+          again.get(4, function (err, data) {
+            t.error(err, 'no error')
+            t.same(data, Buffer.from('eeee'), 'and it is only done once')
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('a crash before the compaction is staged leaves the data file alone', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(storage)
+
+  feed.append(['aaaa', 'bbbb', 'cccc'], function () {
+    feed.clear(0, function () {
+      storage.crashed = true
+
+      // nothing was staged, so the compaction itself fails to read it back
+      feed.compact(function () {
+        storage.crashed = false
+
+        var reopened = ddatabase(storage)
+        reopened.getBatch(1, 3, function (err, blocks) {
+          t.error(err, 'no error')
+          t.same(blocks.map(String), ['bbbb', 'cccc'])
+          t.same(storage.files.data.length, 12, 'not compacted')
+          t.end()
+        })
+      })
+    })
+  })
+})
@@ -25,6 +25,68 @@ tape('hash copy', function (t) {
   })
 })
 
+tape('range copy', function (t) {
+  var a = create()
+
+  a.append(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'], function () {
+    var b = create(a.key)
+
+    a.proof({ start: 3, end: 7 }, function (err, proof) {
+      t.error(err, 'no error')
+      t.ok(proof.signature, 'has one signature')
+
+      a.getBatch(3, 7, function (err, blocks) {
+        t.error(err, 'no error')
+
+        b.putBatch(3, blocks, proof, function (err) {
+          t.error(err, 'no error')
+          t.same(b.length, 10)
+          t.ok(b.has(3, 7), 'has the range')
+          t.notOk(b.has(2))
+
+          b.getBatch(3, 7, function (err, blocks) {
+            t.error(err, 'no error')
+            t.same(blocks.map(String), ['d', 'e', 'f', 'g'])
+
+            a.proof({ start: 0, end: 3 }, function (err, proof) {
+              t.error(err, 'no error')
+              b.putBatch(0, ['a', 'b', 'c'], proof, function (err) {
+                t.error(err, 'no error')
+                t.ok(b.has(0, 7))
+                t.end()
+              })
+            })
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('range copy rejects bad data', function (t) {
+  var a = create()
+
+  a.append(['a', 'b', 'c', 'd'], function () {
+    var b = create(a.key)
+
+    a.proof({ start: 1, end: 3 }, function (err, proof) {
+      t.error(err, 'no error')
+
+      b.putBatch(1, ['b', 'x'], proof, function (err) {
+        t.ok(err, 'had error')
+        t.same(b.length, 0)
+        t.notOk(b.has(1))
+
+        proof.nodes = proof.nodes.slice(1)
+        b.putBatch(1, ['b', 'c'], proof, function (err) {
+          t.ok(err, 'had error')
+          t.end()
+        })
+      })
+    })
+  })
+})
+
 // tests below was generated by a randomizer triggering different replication edge cases
 
 tape('chaos monkey generated #1', function (t) {
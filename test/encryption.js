@@ -0,0 +1,196 @@
+var tape = require('tape')
+var ddatabase = require('../')
+var ram = require('random-access-memory')
+var create = require('./helpers/create')
+var createStorage = require('./helpers/create-storage')
+var replicate = require('./helpers/replicate')
+
+var encryptionKey = Buffer.alloc(32, 'secret')
+
+tape('blocks are stored encrypted', function (t) {
+  var files = {}
+  var feed = ddatabase(function (name) {
+    files[name] = ram()
+    return files[name]
+  }, { encryptionKey: encryptionKey })
+
+  feed.append(['hello', 'world'], function (err) {
+    t.error(err, 'no error')
+    t.ok(feed.encrypted)
+    t.same(feed.byteLength, 10, 'encryption does not change the length')
+
+    files.data.read(0, 10, function (err, data) {
+      t.error(err, 'no error')
+      t.notSame(data, Buffer.from('helloworld'), 'no plaintext on disk')
+
+      feed.get(1, function (err, data) {
+        t.error(err, 'no error')
+        t.same(data, Buffer.from('world'))
+
+        feed.getBatch(0, 2, function (err, batch) {
+          t.error(err, 'no error')
+          t.same(batch, [Buffer.from('hello'), Buffer.from('world')])
+          t.end()
+        })
+      })
+    })
+  })
+})
+
+tape('read streams and value encodings decrypt', function (t) {
+  var feed = create({ encryptionKey: encryptionKey.toString('hex'), valueEncoding: 'json' })
+  var values = []
+
+  feed.append([{ hello: 'world' }, { a: 1 }, { b: 2 }], function () {
+    feed.createReadStream()
+      .on('data', function (data) {
+        values.push(data)
+      })
+      .on('end', function () {
+        t.same(values, [{ hello: 'world' }, { a: 1 }, { b: 2 }])
+        t.end()
+      })
+  })
+})
+
+tape('seeders without the key replicate the encrypted blocks', function (t) {
+  var feed = create({ encryptionKey: encryptionKey })
+
+  feed.append(['a', 'b', 'c'], function () {
+    var seeder = create(feed.key)
+
+    replicate(feed, seeder).on('end', function () {
+      seeder.get(0, function (err, data) {
+        t.error(err, 'no error')
+        t.notSame(data, Buffer.from('a'), 'the seeder cannot read the block')
+
+        var reader = create(feed.key, { encryptionKey: encryptionKey })
+
+        replicate(seeder, reader).on('end', function () {
+          reader.getBatch(0, 3, function (err, batch) {
+            t.error(err, 'no error')
+            t.same(batch, [Buffer.from('a'), Buffer.from('b'), Buffer.from('c')], 'the reader can')
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('exported proofs carry the encrypted blocks', function (t) {
+  var feed = create({ encryptionKey: encryptionKey })
+
+  feed.append(['a', 'b', 'c'], function () {
+    feed.exportProof(0, 2, function (err, bundle) {
+      t.error(err, 'no error')
+
+      ddatabase.verifyProof(bundle, { key: feed.key }, function (err, result) {
+        t.error(err, 'no error')
+        t.same(result.blocks.length, 2)
+        t.notSame(result.blocks[0], Buffer.from('a'), 'still encrypted')
+        t.end()
+      })
+    })
+  })
+})
+
+tape('the same block encrypts differently in another feed', function (t) {
+  var a = create({ encryptionKey: encryptionKey })
+  var b = create({ encryptionKey: encryptionKey })
+
+  a.append('same', function () {
+    b.append('same', function () {
+      a._storage.getData(0, function (_, x) {
+        b._storage.getData(0, function (_, y) {
+          t.notSame(x, y)
+          t.end()
+        })
+      })
+    })
+  })
+})
+
+tape('blocks rewritten after a truncate encrypt differently', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(storage, { encryptionKey: encryptionKey })
+
+  feed.append(['a', 'b'], function () {
+    feed._storage.getData(1, function (err, before) {
+      t.error(err, 'no error')
+
+      feed.truncate(1, function (err) {
+        t.error(err, 'no error')
+
+        feed.append('b', function () {
+          feed._storage.getData(1, function (err, after) {
+            t.error(err, 'no error')
+            t.notSame(after, before, 'a new nonce in the new fork')
+
+            var reopened = ddatabase(storage, { encryptionKey: encryptionKey })
+            reopened.getBatch(0, 2, function (err, batch) {
+              t.error(err, 'no error')
+              t.same(batch, [Buffer.from('a'), Buffer.from('b')], 'blocks from both forks decrypt')
+              t.end()
+            })
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('truncate passes the storage options to the forks file', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(function (name, opts) {
+    if (name === 'forks' && !(opts && opts.key)) t.fail('no options for ' + name)
+    return storage(name)
+  }, { encryptionKey: encryptionKey })
+
+  feed.append(['a', 'b'], function () {
+    feed.truncate(1, function (err) {
+      t.error(err, 'no error')
+      t.ok(storage.files.forks, 'created the file')
+      t.end()
+    })
+  })
+})
+
+tape('readers decrypt blocks from forks they did not see', function (t) {
+  var feed = create({ encryptionKey: encryptionKey })
+
+  feed.append(['a', 'b', 'c', 'd'], function () {
+    feed.truncate(3, function () {
+      feed.append(['e', 'f'], function () {
+        feed.truncate(4, function () {
+          feed.append('g', function () {
+            var reader = create(feed.key, { encryptionKey: encryptionKey })
+
+            replicate(feed, reader).on('end', function () {
+              t.same(reader.fork, 2)
+
+              reader.getBatch(0, 5, function (err, batch) {
+                t.error(err, 'no error')
+                t.same(batch.map(String), ['a', 'b', 'c', 'e', 'g'])
+                t.end()
+              })
+            })
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('encryption needs a live feed and a 32 byte key', function (t) {
+  t.throws(function () {
+    create({ encryptionKey: Buffer.alloc(16) })
+  }, /32 bytes/)
+
+  var feed = create({ live: false, encryptionKey: encryptionKey })
+
+  feed.append('a', function (err) {
+    t.ok(err, 'static feeds cannot be encrypted')
+    t.end()
+  })
+})
@@ -0,0 +1,35 @@
+var ram = require('random-access-memory')
+
+// Storage that keeps the contents of its files around after close, like files on disk,
+// so a feed can be opened on it again. The files are in storage.files by name.
+//
+// Set storage.crashed to simulate a crash: all writes and deletes are lost from then on, except the
+// writes storage.survives(name, offset, data) returns true for. storage.onwrite(name, offset, data)
+// is called before every write that is not lost, to crash at a certain point.
+module.exports = function createStorage () {
+  storage.files = {}
+  storage.crashed = false
+  storage.survives = null
+  storage.onwrite = null
+  return storage
+
+  function storage (name) {
+    if (!storage.files[name]) storage.files[name] = ram()
+    var file = storage.files[name]
+
+    return {
+      read: function (offset, size, cb) {
+        file.read(offset, size, cb)
+      },
+      write: function (offset, data, cb) {
+        if (storage.crashed && !(storage.survives && storage.survives(name, offset, data))) return process.nextTick(cb, null)
+        if (storage.onwrite) storage.onwrite(name, offset, data)
+        file.write(offset, data, cb)
+      },
+      del: function (offset, size, cb) {
+        if (storage.crashed) return process.nextTick(cb, null)
+        file.del(offset, size, cb)
+      }
+    }
+  }
+}
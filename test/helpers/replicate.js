@@ -1,4 +1,6 @@
 module.exports = function replicate (a, b, opts, bOpts) {
+  // replicate sets the key pair of a feed on its options, so b gets its own copy
+  if (!bOpts) bOpts = Object.assign({}, opts)
   var stream = a.replicate(false, opts)
-  return stream.pipe(b.replicate(true, bOpts || opts)).pipe(stream)
+  return stream.pipe(b.replicate(true, bOpts)).pipe(stream)
 }
@@ -0,0 +1,96 @@
+var tape = require('tape')
+var ddatabase = require('../')
+var createStorage = require('./helpers/create-storage')
+
+tape('append with journal', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(storage, { journal: true })
+
+  feed.append(['a', 'b', 'c'], function (err) {
+    t.error(err, 'no error')
+    t.ok(storage.files.journal, 'has a journal file')
+
+    feed._storage.getJournal(function (err, entry) {
+      t.error(err, 'no error')
+      t.same(entry, null, 'journal is cleared after append')
+
+      var reopened = ddatabase(storage, { journal: true })
+      reopened.get(2, function (err, data) {
+        t.error(err, 'no error')
+        t.same(data, Buffer.from('c'))
+        t.same(reopened.length, 3)
+        t.end()
+      })
+    })
+  })
+})
+
+tape('journal is replayed after a crash', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(storage, { journal: true })
+
+  feed.append('a', function (err) {
+    t.error(err, 'no error')
+
+    // everything but the journal write is lost from now on
+    storage.survives = function (name, offset, data) {
+      return name === 'journal' && !(offset === 32 && data.length === 32)
+    }
+    storage.crashed = true
+    feed.append(['b', 'c'], function (err) {
+      t.error(err, 'no error')
+      storage.crashed = false
+
+      var reopened = ddatabase(storage, { journal: true })
+
+      reopened.on('journal-replay', function (start, end) {
+        t.same(start, 1)
+        t.same(end, 3)
+      })
+
+      reopened.ready(function (err) {
+        t.error(err, 'no error')
+        t.same(reopened.length, 3)
+        t.same(reopened.byteLength, 3)
+
+        reopened.getBatch(0, 3, function (err, blocks) {
+          t.error(err, 'no error')
+          t.same(blocks.map(String), ['a', 'b', 'c'])
+
+          reopened.signature(function (err, sig) {
+            t.error(err, 'no error')
+            reopened.verify(2, sig.signature, function (err, valid) {
+              t.error(err, 'no error')
+              t.ok(valid, 'replayed signature is valid')
+              t.end()
+            })
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('torn journal entry is discarded', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(storage, { journal: true })
+
+  feed.append('a', function (err) {
+    t.error(err, 'no error')
+
+    storage.files.journal.write(32, Buffer.alloc(200, 'x'), function (err) {
+      t.error(err, 'no error')
+
+      var reopened = ddatabase(storage, { journal: true })
+      reopened.ready(function (err) {
+        t.error(err, 'no error')
+        t.same(reopened.length, 1)
+        reopened._storage.getJournal(function (err, entry) {
+          t.error(err, 'no error')
+          t.same(entry, null, 'journal was reset')
+          t.end()
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,245 @@
+var tape = require('tape')
+var Protocol = require('ddatabase-protocol')
+var create = require('./helpers/create')
+var replicate = require('./helpers/replicate')
+
+tape('peers pushing unrequested blocks are banned', function (t) {
+  var feed = create()
+
+  feed.append('a', function () {
+    var clone = create(feed.key, { misbehaviour: { unrequested: 3 } })
+    var keyPair = Protocol.keyPair()
+    var spammer = new Protocol(false, { keyPair: keyPair })
+    var stream = clone.replicate(true, { live: true })
+    var types = []
+
+    var ch = spammer.open(feed.key, {
+      onwant () {
+        ch.have({ start: 0, length: 1 })
+        for (var i = 5; i < 8; i++) ch.data({ index: i, value: Buffer.from('spam') })
+      }
+    })
+
+    clone.on('peer-misbehave', function (peer, type, counts) {
+      types.push(type)
+      t.same(counts.unrequested, types.length)
+    })
+
+    spammer.on('error', function () {})
+    stream.on('error', function (err) {
+      t.ok(err, 'stream was destroyed')
+      t.same(types, ['unrequested', 'unrequested', 'unrequested'])
+      t.ok(clone.isBanned(keyPair.publicKey), 'peer is banned')
+      t.same(clone.bans, [keyPair.publicKey])
+      t.end()
+    })
+
+    spammer.pipe(stream).pipe(spammer)
+  })
+})
+
+tape('invalid blocks add up over reconnects', function (t) {
+  var feed = create()
+
+  feed.append('a', function () {
+    var clone = create(feed.key, { sparse: true, misbehaviour: { invalid: 2 } })
+    var keyPair = Protocol.keyPair()
+    var requests = 0
+    var types = []
+
+    clone.on('peer-misbehave', function (peer, type) {
+      types.push(type)
+    })
+
+    clone.get(0, function () {
+      t.fail('should not get the block')
+    })
+
+    connect(function () {
+      t.same(types, ['checksum'])
+      t.notOk(clone.isBanned(keyPair.publicKey), 'not banned yet')
+
+      connect(function () {
+        t.same(types, ['checksum', 'checksum'])
+        t.ok(clone.isBanned(keyPair.publicKey), 'banned once it added up')
+
+        connect(function () {
+          t.same(requests, 2, 'banned peer was not asked for anything')
+          t.end()
+        })
+      })
+    })
+
+    function connect (cb) {
+      var bad = new Protocol(false, { keyPair: keyPair })
+      var stream = clone.replicate(true, { live: true })
+
+      var ch = bad.open(feed.key, {
+        onwant () {
+          ch.have({ start: 0, length: 1 })
+        },
+        onrequest (request) {
+          requests++
+          ch.data({ index: request.index, value: Buffer.from('b') })
+          // reconnect once the block was rejected
+          setTimeout(function () {
+            bad.destroy()
+          }, 50)
+        }
+      })
+
+      bad.on('error', function () {})
+      stream.on('error', function () {})
+      stream.on('close', cb)
+      bad.pipe(stream).pipe(bad)
+
+      // a banned peer never gets a request
+      if (clone.isBanned(keyPair.publicKey)) {
+        setTimeout(function () {
+          bad.destroy()
+        }, 200)
+      }
+    }
+  })
+})
+
+tape('ban and unban', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b'], function () {
+    var clone = create(feed.key)
+
+    clone.ban(feed.noiseKeyPair.publicKey)
+    t.ok(clone.isBanned(feed.noiseKeyPair.publicKey))
+
+    var stream = replicate(feed, clone, { live: true })
+
+    setTimeout(function () {
+      t.same(clone.length, 0, 'nothing was replicated')
+      stream.finalize()
+
+      clone.unban(feed.noiseKeyPair.publicKey.toString('hex'))
+      t.same(clone.bans, [])
+
+      replicate(feed, clone).on('end', function () {
+        t.same(clone.length, 2, 'replicates after the unban')
+        t.end()
+      })
+    }, 200)
+  })
+})
+
+tape('misbehaviour without banning', function (t) {
+  var feed = create()
+
+  feed.append('a', function () {
+    var clone = create(feed.key, { misbehaviour: { unrequested: 1, ban: false } })
+    var keyPair = Protocol.keyPair()
+    var spammer = new Protocol(false, { keyPair: keyPair })
+    var stream = clone.replicate(true, { live: true })
+
+    var ch = spammer.open(feed.key, {
+      onwant () {
+        ch.data({ index: 5, value: Buffer.from('spam') })
+      }
+    })
+
+    spammer.on('error', function () {})
+    stream.on('error', function (err) {
+      t.ok(err, 'stream was destroyed')
+      t.notOk(clone.isBanned(keyPair.publicKey), 'but the peer is not banned')
+      t.end()
+    })
+
+    spammer.pipe(stream).pipe(spammer)
+  })
+})
+
+tape('late replies to a seek another peer answered are not counted', function (t) {
+  var feed = create()
+
+  feed.append(['aa', 'bb', 'cc', 'dd'], function () {
+    var clone = create(feed.key, { sparse: true, misbehaviour: { unrequested: 1 } })
+    var slow = new Protocol(false)
+    var slowStream = clone.replicate(true, { live: true })
+    var misbehaved = 0
+    var late = null
+    var stream = null
+
+    clone.on('peer-misbehave', function () {
+      misbehaved++
+    })
+
+    var ch = slow.open(feed.key, {
+      onwant () {
+        // only one block, so the other peer is left something to ask for
+        ch.have({ start: 0, length: 1 })
+        setTimeout(seek, 50)
+      },
+      onrequest (request) {
+        late = request
+        // the seek is answered by the other peer in the meantime
+        if (!stream) stream = replicate(feed, clone, { live: true })
+      }
+    })
+
+    slow.on('error', function () {})
+    slowStream.on('error', function () {})
+    slow.pipe(slowStream).pipe(slow)
+
+    function seek () {
+      clone.seek(5, function (err, index, offset) {
+        t.error(err, 'no error')
+        t.same([index, offset], [2, 1])
+        t.ok(late && late.bytes === 5, 'the slow peer was asked too')
+        t.same(clone.peers[0].inflightRequests.length, 0, 'and no longer waits for it')
+
+        ch.data({ index: 2, value: Buffer.from('cc') })
+
+        setTimeout(function () {
+          t.same(misbehaved, 0, 'the late reply was expected')
+          t.same(clone.peers.length, 2, 'both peers are still connected')
+          slow.destroy()
+          stream.finalize()
+          t.end()
+        }, 100)
+      })
+    }
+  })
+})
+
+tape('misbehaviour counts decay', function (t) {
+  var feed = create()
+
+  feed.append('a', function () {
+    var clone = create(feed.key, { misbehaviour: { unrequested: 2, decay: 100 } })
+    var spammer = new Protocol(false, { keyPair: Protocol.keyPair() })
+    var stream = clone.replicate(true, { live: true })
+    var counts = []
+
+    var ch = spammer.open(feed.key, {
+      onwant () {
+        ch.data({ index: 5, value: Buffer.from('spam') })
+        setTimeout(function () {
+          ch.data({ index: 6, value: Buffer.from('spam') })
+        }, 250)
+      }
+    })
+
+    clone.on('peer-misbehave', function (peer, type, c) {
+      counts.push(c.unrequested)
+      if (counts.length < 2) return
+
+      t.same(counts, [1, 1], 'the first one was forgotten')
+      setImmediate(function () {
+        t.same(clone.peers.length, 1, 'still connected')
+        spammer.destroy()
+        t.end()
+      })
+    })
+
+    spammer.on('error', function () {})
+    stream.on('error', function () {})
+    spammer.pipe(stream).pipe(spammer)
+  })
+})
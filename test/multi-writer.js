@@ -0,0 +1,272 @@
+var tape = require('tape')
+var ddatabase = require('../')
+var create = require('./helpers/create')
+var createStorage = require('./helpers/create-storage')
+var replicate = require('./helpers/replicate')
+
+tape('append from another writer', function (t) {
+  var feed = create({ valueEncoding: 'utf-8' })
+  var keyPair = ddatabase.keyPair()
+
+  feed.append('a', function () {
+    var device = create(feed.key, { valueEncoding: 'utf-8', writerKeyPair: keyPair })
+
+    feed.addWriter(keyPair.publicKey, function (err) {
+      t.error(err, 'no error')
+      t.same(feed.writers, [feed.key, keyPair.publicKey])
+
+      device.once('writers', function () {
+        t.ok(device.writable, 'device is a writer now')
+
+        device.get(0, function (err) {
+          t.error(err, 'no error')
+
+          device.append('b', function (err) {
+            t.error(err, 'no error')
+
+            feed.get(1, function (err, data) {
+              t.error(err, 'no error')
+              t.same(data, 'b')
+
+              feed.signature(1, function (err, sig) {
+                t.error(err, 'no error')
+                t.same(sig.signer, keyPair.publicKey, 'signature records the writer')
+                t.end()
+              })
+            })
+          })
+        })
+      })
+
+      replicate(feed, device, { live: true })
+    })
+  })
+})
+
+tape('only the owner can change the writers', function (t) {
+  var feed = create()
+  var keyPair = ddatabase.keyPair()
+
+  feed.ready(function () {
+    var clone = create(feed.key)
+
+    clone.addWriter(keyPair.publicKey, function (err) {
+      t.ok(err, 'clone cannot add writers')
+
+      feed.removeWriter(feed.key, function (err) {
+        t.ok(err, 'cannot remove the feed key')
+        t.same(feed.writers, null, 'still a single writer feed')
+        t.end()
+      })
+    })
+  })
+})
+
+tape('revoked writers are rejected', function (t) {
+  var feed = create()
+  var keyPair = ddatabase.keyPair()
+
+  feed.append('a', function () {
+    var device = create(feed.key, { writerKeyPair: keyPair })
+
+    feed.addWriter(keyPair.publicKey, function () {
+      device.once('writers', function () {
+        device.get(0, function () {
+          stream.finalize()
+          feed.removeWriter(keyPair.publicKey, onremove)
+        })
+      })
+
+      var stream = replicate(feed, device, { live: true })
+    })
+
+    function onremove (err) {
+      t.error(err, 'no error')
+      t.same(feed.writers, [feed.key])
+
+      // the device did not hear about it yet
+      device.append('b', function (err) {
+        t.error(err, 'no error')
+
+        var a = feed.replicate(false, { live: true })
+        var b = device.replicate(true, { live: true })
+
+        a.on('error', function () {})
+        b.on('error', function () {})
+        a.pipe(b).pipe(a)
+
+        device.once('writers', function () {
+          t.notOk(device.writable, 'device is no longer a writer')
+
+          setTimeout(function () {
+            t.same(feed.length, 1, 'append from the revoked writer was not accepted')
+            a.destroy()
+            t.end()
+          }, 100)
+        })
+      })
+    }
+  })
+})
+
+tape('conflicting appends from two writers are reported as a fork', function (t) {
+  var feed = create({ valueEncoding: 'utf-8' })
+  var keyPair = ddatabase.keyPair()
+
+  feed.append('a', function () {
+    var device = create(feed.key, { valueEncoding: 'utf-8', writerKeyPair: keyPair })
+
+    feed.addWriter(keyPair.publicKey, function () {
+      device.once('writers', function () {
+        device.get(0, function () {
+          stream.finalize()
+          feed.append('b', function () {
+            device.append(['c', 'd'], onappend)
+          })
+        })
+      })
+
+      var stream = replicate(feed, device, { live: true })
+    })
+
+    function onappend (err) {
+      t.error(err, 'no error')
+
+      var reader = create(feed.key, { sparse: true, valueEncoding: 'utf-8' })
+
+      reader.on('peer-misbehave', function () {
+        t.fail('counted as misbehaviour')
+      })
+
+      replicate(feed, reader, { live: true })
+      reader.get(1, function (err, data) {
+        t.error(err, 'no error')
+        t.same(data, 'b')
+
+        reader.once('fork', function (length, signer, peer) {
+          t.same(length, 3, 'length of the other version')
+          t.same(signer, keyPair.publicKey, 'signed by the device')
+          t.ok(reader.peers.indexOf(peer) > -1, 'the peer that sent it')
+
+          setTimeout(function () {
+            t.notOk(reader.isBanned(peer.remotePublicKey), 'peer is not banned')
+            t.same(peer.errors, 0, 'not an error of the peer')
+            t.end()
+          }, 100)
+        })
+
+        replicate(device, reader, { live: true })
+        reader.download({ start: 2, end: 3 })
+      })
+    }
+  })
+})
+
+tape('writers are stored with the feed', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(storage)
+  var keyPair = ddatabase.keyPair()
+
+  feed.append(['a', 'b'], function () {
+    feed.addWriter(keyPair.publicKey, function (err) {
+      t.error(err, 'no error')
+
+      var reopened = ddatabase(storage)
+
+      reopened.ready(function (err) {
+        t.error(err, 'no error')
+        t.same(reopened.writers, [feed.key, keyPair.publicKey])
+
+        reopened.signature(1, function (err, sig) {
+          t.error(err, 'no error')
+          t.same(sig.signer, feed.key, 'old signatures were made by the feed key')
+
+          reopened.verify(1, sig.signature, function (err, valid) {
+            t.error(err, 'no error')
+            t.ok(valid, 'still verifies')
+
+            reopened.append('c', function (err) {
+              t.error(err, 'no error')
+
+              reopened.get(2, function (err, data) {
+                t.error(err, 'no error')
+                t.same(data, Buffer.from('c'))
+                t.end()
+              })
+            })
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('adding a writer passes the storage options to the files it creates', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(function (name, opts) {
+    if ((name === 'manifest' || name === 'signatures_upgrade') && !(opts && opts.key)) t.fail('no options for ' + name)
+    return storage(name)
+  })
+
+  feed.append('a', function () {
+    feed.addWriter(ddatabase.keyPair().publicKey, function (err) {
+      t.error(err, 'no error')
+      t.ok(storage.files.manifest && storage.files.signatures_upgrade, 'created the files')
+      t.end()
+    })
+  })
+})
+
+tape('an interrupted signature upgrade is finished on open', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(storage)
+
+  feed.append(['a', 'b'], function () {
+    // everything after the first signature written in the new size is lost
+    storage.onwrite = function (name, offset) {
+      if (name === 'signatures' && offset >= 32) storage.crashed = true
+    }
+
+    feed.addWriter(ddatabase.keyPair().publicKey, function () {
+      storage.onwrite = null
+      storage.crashed = false
+
+      var reopened = ddatabase(storage)
+
+      reopened.ready(function (err) {
+        t.error(err, 'no error')
+
+        reopened.signature(1, function (err, sig) {
+          t.error(err, 'no error')
+          t.same(sig.signer, feed.key)
+
+          reopened.verify(1, sig.signature, function (err, valid) {
+            t.error(err, 'no error')
+            t.ok(valid, 'still verifies')
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('verify rejects signatures from other keys', function (t) {
+  var feed = create()
+  var other = create()
+
+  feed.append('a', function () {
+    feed.addWriter(ddatabase.keyPair().publicKey, function () {
+      other.append('a', function () {
+        other.signature(0, function (err, sig) {
+          t.error(err, 'no error')
+
+          feed.verify(0, sig.signature, function (err) {
+            t.ok(err, 'not signed by a writer')
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
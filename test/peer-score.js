@@ -0,0 +1,180 @@
+var tape = require('tape')
+var ddatabase = require('../')
+var ram = require('random-access-memory')
+var Protocol = require('ddatabase-protocol')
+var create = require('./helpers/create')
+var replicate = require('./helpers/replicate')
+
+tape('peers are scored', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c'], function () {
+    var clone = create(feed.key)
+
+    clone.on('sync', function () {
+      var peer = clone.peers[0]
+
+      t.ok(peer.latency >= 0, 'has a latency')
+      t.same(peer.timeouts, 0)
+      t.same(peer.errors, 0)
+      t.ok(peer.score > 0 && peer.score <= 1, 'score is between 0 and 1')
+      stream.finalize()
+      t.end()
+    })
+
+    var stream = replicate(feed, clone, { live: true })
+  })
+})
+
+tape('waiting gets prefer the faster peer', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'], function () {
+    var slow = ddatabase(slowData(40), feed.key)
+
+    replicate(feed, slow).on('end', function () {
+      var clone = create(feed.key, { sparse: true })
+      var fast = clone.replicate(true, { live: true })
+      var fromFast = 0
+
+      fast.pipe(feed.replicate(false, { live: true })).pipe(fast)
+      replicate(slow, clone, { live: true })
+
+      clone.on('download', function (index, data, from) {
+        if (from.stream.stream === fast) fromFast++
+      })
+
+      setTimeout(function () {
+        get(0)
+      }, 100)
+
+      function get (i) {
+        if (i === feed.length) {
+          t.ok(fromFast >= feed.length - 2, 'most blocks came from the fast peer')
+          fast.finalize()
+          t.end()
+          return
+        }
+
+        clone.get(i, function (err) {
+          t.error(err, 'no error')
+          get(i + 1)
+        })
+      }
+    })
+  })
+})
+
+tape('timed out requests go to other peers', function (t) {
+  var feed = create()
+
+  feed.append('a', function () {
+    var clone = create(feed.key, { sparse: true })
+    var mute = new Protocol(false, { timeout: 100 })
+    var stream = clone.replicate(true, { live: true, timeout: 100 })
+    var mutePeer = null
+
+    clone.once('peer-add', function (peer) {
+      mutePeer = peer
+    })
+
+    var ch = mute.open(feed.key, {
+      onwant () {
+        ch.have({ start: 0, length: 1 })
+      },
+      onrequest () {
+        // only connect the other peer once the request is stuck
+        replicate(feed, clone, { live: true })
+      }
+    })
+
+    // request timeouts do not keep the process alive
+    var timeout = setTimeout(() => t.fail('request should have timed out'), 1000)
+
+    mute.on('error', function () {})
+    stream.on('error', function () {})
+    mute.pipe(stream).pipe(mute)
+
+    clone.get(0, function (err, data) {
+      clearTimeout(timeout)
+      t.error(err, 'no error')
+      t.same(data, Buffer.from('a'))
+      t.same(mutePeer.timeouts, 1, 'timeout was counted')
+      t.ok(mutePeer.score < 1, 'score went down')
+      t.notOk(stream.destroyed, 'still connected to the peer that timed out')
+      mute.destroy()
+      t.end()
+    })
+  })
+})
+
+tape('peers sending invalid data are disconnected', function (t) {
+  var feed = create()
+
+  feed.append('a', function () {
+    var clone = create(feed.key, { sparse: true })
+    var bad = new Protocol(false)
+    var stream = clone.replicate(true, { live: true })
+    var requests = 0
+    var peer = null
+
+    clone.once('peer-add', function (p) {
+      peer = p
+    })
+
+    var ch = bad.open(feed.key, {
+      onwant () {
+        ch.have({ start: 0, length: 1 })
+      },
+      onrequest (request) {
+        requests++
+        ch.data({ index: request.index, value: Buffer.from('b') })
+      }
+    })
+
+    bad.on('error', function () {})
+    stream.on('error', function (err) {
+      t.ok(err, 'stream was destroyed')
+      t.same(requests, 3, 'retried before giving up')
+      t.same(peer.errors, 3)
+      t.same(clone.has(0), false, 'nothing was stored')
+      t.end()
+    })
+    bad.pipe(stream).pipe(bad)
+
+    clone.get(0, function () {
+      t.fail('should not get the block')
+    })
+  })
+})
+
+// data reads take ms each, one after the other, like a slow disk
+function slowData (ms) {
+  var queue = []
+
+  return function (name) {
+    var file = ram()
+    if (name !== 'data') return file
+
+    return {
+      read: function (offset, size, cb) {
+        queue.push(function () {
+          file.read(offset, size, function (err, buf) {
+            setTimeout(function () {
+              cb(err, buf)
+              queue.shift()
+              if (queue.length) queue[0]()
+            }, ms)
+          })
+        })
+        if (queue.length === 1) queue[0]()
+      },
+      write: function (offset, data, cb) {
+        file.write(offset, data, cb)
+      },
+      del: function (offset, size, cb) {
+        file.del(offset, size, cb)
+      }
+    }
+  }
+}
@@ -0,0 +1,183 @@
+/* global AbortController */
+
+var tape = require('tape')
+var create = require('./helpers/create')
+var replicate = require('./helpers/replicate')
+
+tape('promises', async function (t) {
+  var feed = create({ valueEncoding: 'utf-8' })
+
+  await feed.promises.ready()
+  t.same(await feed.promises.append(['hello', 'world']), 0, 'resolves with the seq')
+  t.same(await feed.promises.get(0), 'hello')
+  t.same(await feed.promises.getBatch(0, 2), ['hello', 'world'])
+  t.same(await feed.promises.head(), 'world')
+  t.same(await feed.promises.seek(7), { index: 1, offset: 2 })
+
+  var signature = await feed.promises.signature()
+  t.same(signature.index, 1)
+  t.ok(await feed.promises.verify(1, signature.signature), 'verifies')
+  t.same((await feed.promises.rootHashes(1)).length, 1)
+  t.ok((await feed.promises.proof(0)).nodes, 'has a proof')
+  t.same((await feed.promises.audit()).valid, 2)
+
+  await feed.promises.close()
+  t.ok(feed.closed)
+  t.end()
+})
+
+tape('promises reject with the error', async function (t) {
+  var feed = create()
+
+  await feed.promises.ready()
+
+  try {
+    await feed.promises.get(0, { wait: false })
+    t.fail('should reject')
+  } catch (err) {
+    t.same(err.message, 'Block not downloaded')
+  }
+  t.end()
+})
+
+tape('promises get with a signal', async function (t) {
+  var feed = create()
+  var controller = new AbortController()
+
+  await feed.promises.ready()
+
+  var get = feed.promises.get(0, { signal: controller.signal })
+  setImmediate(function () {
+    controller.abort()
+  })
+
+  try {
+    await get
+    t.fail('should reject')
+  } catch (err) {
+    t.ok(err, 'get was cancelled')
+    t.same(feed._waiting.length, 0, 'no longer waiting')
+  }
+
+  try {
+    await feed.promises.get(0, { signal: controller.signal })
+    t.fail('should reject')
+  } catch (err) {
+    t.same(err.code, 'ECANCELED', 'already aborted')
+  }
+  t.end()
+})
+
+tape('promises download and update', async function (t) {
+  var feed = create()
+
+  await feed.promises.append(['a', 'b', 'c'])
+
+  var clone = create(feed.key, { sparse: true })
+  var stream = replicate(feed, clone, { live: true })
+
+  await clone.promises.update()
+  t.same(clone.length, 3)
+
+  await clone.promises.download({ start: 0, end: 2 })
+  t.ok(clone.has(0, 2), 'downloaded the range')
+  t.notOk(clone.has(2))
+
+  stream.finalize()
+  t.end()
+})
+
+tape('iterate', async function (t) {
+  var feed = create()
+  var blocks = []
+
+  await feed.promises.append(['a', 'b', 'c', 'd'])
+
+  for await (var block of feed.iterate()) blocks.push(block.toString())
+  t.same(blocks, ['a', 'b', 'c', 'd'])
+
+  blocks = []
+  for await (block of feed.iterate({ start: 1, end: 3, valueEncoding: 'utf-8' })) blocks.push(block)
+  t.same(blocks, ['b', 'c'])
+  t.end()
+})
+
+tape('iterate live', async function (t) {
+  var feed = create({ valueEncoding: 'utf-8' })
+  var blocks = []
+
+  await feed.promises.append('a')
+  var selections = feed._selections.length
+
+  setTimeout(function () {
+    feed.append(['b', 'c'])
+  }, 50)
+
+  for await (var block of feed.iterate({ live: true })) {
+    blocks.push(block)
+    if (blocks.length === 3) break
+  }
+
+  t.same(blocks, ['a', 'b', 'c'])
+  t.same(feed._selections.length, selections, 'stopped downloading')
+  t.same(feed._waiting.length, 0)
+  t.end()
+})
+
+tape('iterate downloads nothing until it is read', async function (t) {
+  var feed = create({ valueEncoding: 'utf-8' })
+
+  await feed.promises.append(['a', 'b'])
+  var selections = feed._selections.length
+
+  var iterator = feed.iterate({ live: true })
+  t.same(feed._selections.length, selections, 'not downloading yet')
+
+  t.same(await iterator.next(), { done: false, value: 'a' })
+  t.same(feed._selections.length, selections + 1, 'downloading once read')
+
+  await iterator.return()
+  t.same(feed._selections.length, selections)
+  t.end()
+})
+
+tape('iterate from a peer', async function (t) {
+  var feed = create({ valueEncoding: 'utf-8' })
+
+  await feed.promises.append(['a', 'b', 'c'])
+
+  var clone = create(feed.key, { sparse: true, valueEncoding: 'utf-8' })
+  var stream = replicate(feed, clone, { live: true })
+  var blocks = []
+
+  await clone.promises.update()
+  for await (var block of clone.iterate()) blocks.push(block)
+
+  t.same(blocks, ['a', 'b', 'c'])
+  stream.finalize()
+  t.end()
+})
+
+tape('iterate with a signal', async function (t) {
+  var feed = create({ valueEncoding: 'utf-8' })
+  var controller = new AbortController()
+  var blocks = []
+
+  await feed.promises.append(['a', 'b'])
+  var selections = feed._selections.length
+
+  try {
+    for await (var block of feed.iterate({ live: true, signal: controller.signal })) {
+      blocks.push(block)
+      if (blocks.length === 2) setImmediate(() => controller.abort())
+    }
+    t.fail('should reject')
+  } catch (err) {
+    t.ok(err, 'stopped by the signal')
+  }
+
+  t.same(blocks, ['a', 'b'])
+  t.same(feed._waiting.length, 0, 'no longer waiting')
+  t.same(feed._selections.length, selections, 'stopped downloading')
+  t.end()
+})
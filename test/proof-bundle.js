@@ -0,0 +1,132 @@
+var tape = require('tape')
+var ddatabase = require('../')
+var create = require('./helpers/create')
+
+tape('export and verify a proof', function (t) {
+  var feed = create({ valueEncoding: 'utf-8' })
+
+  feed.append(['a', 'b', 'c', 'd', 'e'], function () {
+    feed.exportProof(1, 4, function (err, bundle) {
+      t.error(err, 'no error')
+      t.ok(Buffer.isBuffer(bundle), 'bundle is a buffer')
+
+      ddatabase.verifyProof(bundle, { key: feed.key }, function (err, proof) {
+        t.error(err, 'no error')
+        t.same(proof.key, feed.key)
+        t.same(proof.start, 1)
+        t.same(proof.length, 5)
+        t.same(proof.blocks.map(String), ['b', 'c', 'd'])
+        t.end()
+      })
+    })
+  })
+})
+
+tape('verify a single block proof', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c'], function () {
+    feed.exportProof(2, function (err, bundle) {
+      t.error(err, 'no error')
+
+      ddatabase.verifyProof(bundle, { key: feed.key }, function (err, proof) {
+        t.error(err, 'no error')
+        t.same(proof.blocks, [Buffer.from('c')])
+        t.end()
+      })
+    })
+  })
+})
+
+tape('tampered proofs fail to verify', function (t) {
+  var feed = create()
+  var other = create()
+
+  feed.append(['hello', 'world'], function () {
+    feed.exportProof(0, 2, function (err, bundle) {
+      t.error(err, 'no error')
+
+      var tampered = Buffer.from(bundle)
+      tampered[tampered.indexOf('world')] = 'W'.charCodeAt(0)
+
+      ddatabase.verifyProof(tampered, { key: feed.key }, function (err) {
+        t.ok(err, 'data was changed')
+
+        var future = Buffer.from(bundle)
+        future[4] = 1
+
+        ddatabase.verifyProof(future, { key: feed.key }, function (err) {
+          t.ok(err, 'unknown version')
+
+          ddatabase.verifyProof(bundle.slice(0, bundle.length - 1), { key: feed.key }, function (err) {
+            t.ok(err, 'truncated bundle')
+
+            other.ready(function () {
+              ddatabase.verifyProof(bundle, { key: other.key }, function (err) {
+                t.ok(err, 'wrong key')
+                t.end()
+              })
+            })
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('self-signed proofs for another key are rejected', function (t) {
+  var feed = create()
+  var forger = create()
+
+  feed.append('a', function () {
+    forger.append('fake', function () {
+      forger.exportProof(0, function (err, bundle) {
+        t.error(err, 'no error')
+
+        ddatabase.verifyProof(bundle, function (err) {
+          t.ok(err, 'a key is required')
+
+          ddatabase.verifyProof(bundle, { key: feed.key }, function (err) {
+            t.ok(err, 'proof is for the forger\'s key')
+
+            var relabelled = Buffer.from(bundle)
+            feed.key.copy(relabelled, 8)
+
+            ddatabase.verifyProof(relabelled, { key: feed.key }, function (err) {
+              t.ok(err, 'signature is not from the feed')
+              t.end()
+            })
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('import a proof', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c', 'd'], function () {
+    var clone = create(feed.key)
+
+    feed.exportProof(2, 4, function (err, bundle) {
+      t.error(err, 'no error')
+
+      clone.importProof(bundle, function (err) {
+        t.error(err, 'no error')
+        t.same(clone.length, 4)
+        t.ok(clone.has(2, 4))
+
+        clone.get(3, function (err, data) {
+          t.error(err, 'no error')
+          t.same(data, Buffer.from('d'))
+
+          create().importProof(bundle, function (err) {
+            t.ok(err, 'cannot import into another feed')
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,131 @@
+var tape = require('tape')
+var create = require('./helpers/create')
+var replicate = require('./helpers/replicate')
+
+tape('reader reads byte ranges', function (t) {
+  var feed = create({ valueEncoding: 'utf-8' })
+  var reader = feed.createReader()
+
+  feed.append(['hello', ' ', 'world', '!'], function () {
+    reader.read(0, 5, function (err, data) {
+      t.error(err, 'no error')
+      t.same(data, Buffer.from('hello'), 'one block')
+
+      reader.read(3, 6, function (err, data) {
+        t.error(err, 'no error')
+        t.same(data, Buffer.from('lo wor'), 'across blocks')
+
+        reader.read(8, 100, function (err, data) {
+          t.error(err, 'no error')
+          t.same(data, Buffer.from('rld!'), 'stops at the end of the feed')
+
+          reader.read(12, 1, function (err, data) {
+            t.error(err, 'no error')
+            t.same(data.length, 0, 'nothing past the end')
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('reader caches blocks and coalesces reads', function (t) {
+  var feed = create()
+  var reader = feed.createReader()
+  var gets = []
+  var get = feed.get
+
+  feed.get = function (index, opts, cb) {
+    gets.push(index)
+    return get.call(feed, index, opts, cb)
+  }
+
+  feed.append(['abc', 'def'], function () {
+    var missing = 2
+
+    reader.read(0, 2, done)
+    reader.read(1, 2, done)
+
+    function done (err) {
+      t.error(err, 'no error')
+      if (--missing) return
+      t.same(gets, [0], 'concurrent reads share the get')
+
+      reader.read(2, 3, function (err, data) {
+        t.error(err, 'no error')
+        t.same(data, Buffer.from('cde'))
+        t.same(gets, [0, 1], 'the first block came from the cache')
+        t.end()
+      })
+    }
+  })
+})
+
+tape('reader without a cache', function (t) {
+  var feed = create()
+  var reader = feed.createReader({ cacheSize: 0 })
+  var gets = 0
+  var get = feed.get
+
+  feed.get = function (index, opts, cb) {
+    gets++
+    return get.call(feed, index, opts, cb)
+  }
+
+  feed.append('abc', function () {
+    reader.read(0, 1, function () {
+      reader.read(0, 1, function (err, data) {
+        t.error(err, 'no error')
+        t.same(data, Buffer.from('a'))
+        t.same(gets, 2, 'got the block twice')
+        t.end()
+      })
+    })
+  })
+})
+
+tape('reader on a sparse feed', function (t) {
+  var feed = create()
+
+  feed.append(['aaa', 'bbb', 'ccc', 'ddd'], function () {
+    var clone = create(feed.key, { sparse: true })
+    var stream = replicate(feed, clone, { live: true })
+    var reader = clone.createReader()
+
+    clone.update(function () {
+      reader.read(5, 2, function (err, data) {
+        t.error(err, 'no error')
+        t.same(data, Buffer.from('bc'))
+        t.ok(clone.has(1) && clone.has(2), 'downloaded the blocks in range')
+        t.notOk(clone.has(0) || clone.has(3), 'and no others')
+        stream.finalize()
+        t.end()
+      })
+    })
+  })
+})
+
+tape('reader does not return cached blocks after a truncation', function (t) {
+  var feed = create()
+  var reader = feed.createReader()
+
+  feed.append(['abc', 'def'], function () {
+    reader.read(3, 3, function (err, data) {
+      t.error(err, 'no error')
+      t.same(data, Buffer.from('def'))
+
+      feed.truncate(1, function (err) {
+        t.error(err, 'no error')
+
+        feed.append('xyz', function () {
+          reader.read(3, 3, function (err, data) {
+            t.error(err, 'no error')
+            t.same(data, Buffer.from('xyz'))
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,182 @@
+var tape = require('tape')
+var create = require('./helpers/create')
+var createStorage = require('./helpers/create-storage')
+var ddatabase = require('../')
+
+tape('repair a healthy feed', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c'], function () {
+    feed.repair(function (err, report) {
+      t.error(err, 'no error')
+      t.same(report, { valid: 3, invalid: 0, restored: 0, nodes: 0, truncated: 0 })
+      t.same(feed.length, 3)
+      t.end()
+    })
+  })
+})
+
+tape('repair on open rebuilds a lost bitfield', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(storage)
+
+  feed.append(['a', 'b', 'c'], function () {
+    // simulate a crash while the bitfield was being written
+    storage.files.bitfield.write(32, Buffer.alloc(3584), function (err) {
+      t.error(err, 'no error')
+
+      var repaired = ddatabase(storage, { repair: true })
+
+      repaired.on('repair', function (report) {
+        t.same(report.valid, 3)
+        t.same(report.restored, 3)
+        t.same(report.truncated, 0)
+        t.ok(report.nodes > 0, 'tree bitfield was rebuilt')
+      })
+
+      repaired.ready(function (err) {
+        t.error(err, 'no error')
+        t.same(repaired.length, 3)
+        t.same(repaired.byteLength, 3)
+        t.ok(repaired.has(0, 3), 'has all blocks again')
+
+        repaired.append('d', function (err) {
+          t.error(err, 'no error')
+          repaired.get(3, function (err, data) {
+            t.error(err, 'no error')
+            t.same(data, Buffer.from('d'))
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('repair truncates to the last valid signature', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(storage)
+
+  feed.append('a')
+  feed.append(['b', 'c'], function () {
+    storage.files.signatures.write(32 + 64 * 2, Buffer.alloc(64, 'x'), function (err) {
+      t.error(err, 'no error')
+
+      var repaired = ddatabase(storage, { repair: true })
+
+      repaired.on('repair', function (report) {
+        t.same(report.truncated, 2)
+        t.same(report.valid, 1)
+      })
+
+      repaired.ready(function (err) {
+        t.error(err, 'no error')
+        t.same(repaired.length, 1)
+        t.notOk(repaired.has(1))
+
+        repaired.signature(function (err, sig) {
+          t.error(err, 'no error')
+          repaired.verify(0, sig.signature, function (err, valid) {
+            t.error(err, 'no error')
+            t.ok(valid)
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('repair only tries the lengths that are signed', function (t) {
+  var feed = create()
+  var batch = []
+
+  for (var i = 0; i < 200; i++) batch.push('b')
+
+  feed.append('a')
+  feed.append(batch, function () {
+    feed._storage.signatures.write(32 + 64 * 200, Buffer.alloc(64, 'x'), function (err) {
+      t.error(err, 'no error')
+
+      var roots = 0
+      var _roots = feed._roots
+
+      feed._roots = function (length, cb) {
+        roots++
+        return _roots.call(feed, length, cb)
+      }
+
+      feed.repair(function (err, report) {
+        t.error(err, 'no error')
+        t.same(report.truncated, 200)
+        t.same(feed.length, 1)
+        t.ok(roots < 10, 'did not step through every length')
+        t.end()
+      })
+    })
+  })
+})
+
+tape('repair clears data that does not match the tree', function (t) {
+  var feed = create()
+
+  feed.append(['hello', 'world'], function () {
+    feed._storage.data.write(0, Buffer.from('H'), function () {
+      feed.repair(function (err, report) {
+        t.error(err, 'no error')
+        t.same(report.valid, 1)
+        t.same(report.invalid, 1)
+        t.notOk(feed.has(0))
+        t.ok(feed.has(1))
+        t.end()
+      })
+    })
+  })
+})
+
+tape('repair starts at the last signature in the file', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b'], function () {
+    feed.append('c', function () {
+      // lose the last signature, as if we crashed before it was written
+      feed._storage.signatures.del(32 + 64 * 2, 64, ondel)
+    })
+  })
+
+  function ondel (err) {
+    t.error(err, 'no error')
+
+    var reads = 0
+    var read = feed._storage.signatures.read
+
+    feed._storage.signatures.read = function (offset, size, cb) {
+      reads++
+      return read.call(this, offset, size, cb)
+    }
+
+    feed.repair(function (err, report) {
+      t.error(err, 'no error')
+      t.same(report.truncated, 1)
+      t.same(feed.length, 2)
+      t.same(reads, 1, 'did not read past the end')
+      t.end()
+    })
+  }
+})
+
+tape('repair fails on signature read errors', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c'], function () {
+    feed._storage.signatures.read = function (offset, size, cb) {
+      process.nextTick(cb, new Error('EIO'))
+    }
+
+    feed.repair(function (err) {
+      t.same(err && err.message, 'EIO')
+      t.same(feed.length, 3, 'did not truncate')
+      t.end()
+    })
+  })
+})
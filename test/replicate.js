@@ -1,6 +1,8 @@
 var create = require('./helpers/create')
 var replicate = require('./helpers/replicate')
 var tape = require('tape')
+var ram = require('random-access-memory')
+var ddatabase = require('../')
 var Protocol = require('ddatabase-protocol')
 
 tape('replicate', function (t) {
@@ -894,6 +896,186 @@ tape('download blocks', function (t) {
   })
 })
 
+tape('higher priority downloads go first', function (t) {
+  var feed = create()
+
+  feed.append(blocks(30), function () {
+    var clone = create(feed.key, { sparse: true, maxRequests: 1 })
+    var order = []
+
+    clone.on('download', function (index) {
+      order.push(index)
+    })
+
+    clone.download({ start: 0, end: 20, linear: true })
+    clone.download({ start: 20, end: 25, priority: 5 }, function (err) {
+      t.error(err, 'no error')
+      t.same(order.length, 5, 'nothing else was downloaded first')
+      t.ok(order.every(function (index) { return index >= 20 && index < 25 }))
+      t.end()
+    })
+
+    replicate(feed, clone, { live: true })
+  })
+})
+
+tape('downloads with the same priority take turns', function (t) {
+  var feed = create()
+
+  feed.append(blocks(20), function () {
+    var clone = create(feed.key, { sparse: true, maxRequests: 1 })
+    var order = []
+
+    clone.on('download', function (index) {
+      order.push(index < 10 ? 'a' : 'b')
+    })
+
+    clone.download({ start: 0, end: 10, linear: true })
+    clone.download({ start: 10, end: 20, linear: true }, function () {
+      for (var i = 1; i < 10; i++) t.notEqual(order[i], order[i - 1], 'alternates')
+      t.end()
+    })
+
+    replicate(feed, clone, { live: true })
+  })
+})
+
+tape('cancelled gets are not uploaded', function (t) {
+  var id = null
+  var feed = ddatabase(slowData(function () {
+    clone.cancel(id)
+  }))
+  var clone = null
+  var uploads = 0
+
+  feed.on('upload', function () {
+    uploads++
+  })
+
+  feed.append(['a', 'b'], function () {
+    clone = create(feed.key, { sparse: true })
+
+    id = clone.get(1, function (err) {
+      t.ok(err, 'get was cancelled')
+
+      setTimeout(function () {
+        t.same(uploads, 0, 'block was not uploaded')
+        t.notOk(clone.has(1))
+        t.end()
+      }, 100)
+    })
+
+    replicate(feed, clone, { live: true })
+  })
+})
+
+tape('undownloaded ranges are not uploaded', function (t) {
+  var range = null
+  var feed = ddatabase(slowData(function () {
+    if (range) clone.undownload(range)
+    range = null
+  }))
+  var clone = null
+  var uploads = 0
+
+  feed.on('upload', function () {
+    uploads++
+  })
+
+  feed.append(blocks(5), function () {
+    clone = create(feed.key, { sparse: true })
+
+    range = clone.download({ start: 0, end: 5 }, function (err) {
+      t.ok(err, 'download was cancelled')
+
+      setTimeout(function () {
+        t.same(uploads, 0, 'nothing was uploaded')
+        t.same(clone.downloaded(), 0)
+        t.end()
+      }, 100)
+    })
+
+    replicate(feed, clone, { live: true })
+  })
+})
+
+tape('haves and unhaves are only sent for wanted ranges', function (t) {
+  var feed = create()
+
+  feed.append(blocks(8193), function () {
+    var stream = feed.replicate(true, { live: true })
+    var remote = new Protocol(false)
+    var haves = []
+    var unhaves = []
+
+    var ch = remote.open(feed.key, {
+      onhave (have) {
+        haves.push(have.start)
+      },
+      onunhave (unhave) {
+        unhaves.push(unhave.start)
+      }
+    })
+
+    ch.want({ start: 0, length: 8192 })
+    ch.want({ start: 8192, length: 8192 })
+    ch.unwant({ start: 8192, length: 8192 })
+
+    remote.on('error', function () {})
+    stream.on('error', function () {})
+    remote.pipe(stream).pipe(remote)
+
+    setTimeout(function () {
+      haves = []
+
+      feed.clear(5, function () {
+        feed.clear(8192, function () {
+          feed.append('new', function () {
+            setTimeout(function () {
+              t.same(unhaves, [5], 'no unhave for the unwanted range')
+              t.same(haves, [8193], 'but still the new length')
+              remote.destroy()
+              t.end()
+            }, 100)
+          })
+        })
+      })
+    }, 100)
+  })
+})
+
+// storage where reading data is slow, calling onread when a read starts
+function slowData (onread) {
+  var files = {}
+
+  return function (name) {
+    if (!files[name]) files[name] = ram()
+    var file = files[name]
+
+    return {
+      read: function (offset, size, cb) {
+        if (name !== 'data') return file.read(offset, size, cb)
+        onread()
+        setTimeout(function () {
+          file.read(offset, size, cb)
+        }, 20)
+      },
+      write: function (offset, data, cb) {
+        file.write(offset, data, cb)
+      },
+      del: function (offset, size, cb) {
+        file.del(offset, size, cb)
+      }
+    }
+  }
+}
+
+function blocks (n) {
+  var list = []
+  for (var i = 0; i < n; i++) list.push('block-' + i)
+  return list
+}
+
 function same (t, val) {
   return function (err, data) {
     t.error(err, 'no error')
@@ -0,0 +1,142 @@
+var tape = require('tape')
+var Protocol = require('ddatabase-protocol')
+var create = require('./helpers/create')
+var replicate = require('./helpers/replicate')
+
+tape('replicated waits for acks from enough peers', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c', 'd', 'e'], function () {
+    var clone1 = create(feed.key)
+    var clone2 = create(feed.key)
+    var connected = 0
+
+    feed.replicated({ peers: 2 }, function (err, peers) {
+      t.error(err, 'no error')
+      t.same(connected, 2, 'needed both peers')
+      t.same(peers.length, 2)
+      t.ok(clone1.has(0, 5) && clone2.has(0, 5), 'both clones have the data')
+      s1.finalize()
+      s2.finalize()
+      t.end()
+    })
+
+    connected++
+    var s1 = replicate(feed, clone1, { live: true, ack: true })
+
+    clone1.on('sync', function () {
+      connected++
+      s2 = replicate(feed, clone2, { live: true, ack: true })
+    })
+
+    var s2 = null
+  })
+})
+
+tape('replicated with a range', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c', 'd', 'e'], function () {
+    var clone = create(feed.key, { sparse: true })
+    var stream = replicate(feed, clone, { live: true, ack: true })
+
+    feed.replicated({ start: 1, end: 3 }, function (err, peers) {
+      t.error(err, 'no error')
+      t.same(peers.length, 1)
+      t.ok(clone.has(1, 3), 'clone has the range')
+      t.notOk(clone.has(4), 'but nothing else')
+      stream.finalize()
+      t.end()
+    })
+
+    clone.download({ start: 1, end: 3 })
+  })
+})
+
+tape('replicated counts blocks the peer announced', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c'], function () {
+    var clone = create(feed.key)
+    var backup = create(feed.key)
+
+    replicate(feed, clone).on('end', function () {
+      replicate(feed, backup).on('end', function () {
+        var stream = replicate(clone, backup, { live: true })
+
+        clone.replicated({ peers: 1 }, function (err, peers) {
+          t.error(err, 'no error')
+          t.same(peers.length, 1)
+          stream.finalize()
+          t.end()
+        })
+      })
+    })
+  })
+})
+
+tape('replicated without acks on a writer', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c'], function () {
+    var clone = create(feed.key)
+    var stream = replicate(feed, clone, { live: true })
+
+    feed.replicated({ peers: 1, timeout: 5000 }, function (err, peers) {
+      t.error(err, 'no error')
+      t.same(peers.length, 1)
+      t.ok(clone.has(0, 3), 'the clone has the data')
+      stream.finalize()
+      t.end()
+    })
+  })
+})
+
+tape('replicated ignores acks past the length', function (t) {
+  var feed = create()
+
+  feed.append('a', function () {
+    var stream = feed.replicate(true, { live: true, ack: true })
+    var remote = new Protocol(false)
+
+    var ch = remote.open(feed.key, {
+      onopen () {
+        ch.options({ ack: true })
+      },
+      ondata () {
+        ch.have({ start: 0, length: Math.pow(2, 40), ack: true })
+      }
+    })
+
+    ch.request({ index: 0 })
+
+    remote.on('error', function () {})
+    stream.on('error', function () {})
+    remote.pipe(stream).pipe(remote)
+
+    feed.replicated({ peers: 1 }, function (err, peers) {
+      t.error(err, 'no error')
+      t.same(peers.length, 1)
+      t.notOk(peers[0].remoteHaves.get(1), 'nothing past the length')
+      remote.destroy()
+      t.end()
+    })
+  })
+})
+
+tape('replicated times out', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c'], function () {
+    var clone = create(feed.key)
+    var stream = replicate(feed, clone, { live: true, ack: true })
+
+    feed.replicated({ peers: 2, timeout: 200 }, function (err) {
+      t.ok(err, 'had timeout error')
+      t.same(err.code, 'ETIMEDOUT')
+      t.same(feed._replicatedWaiting.length, 0, 'no lingering state')
+      stream.finalize()
+      t.end()
+    })
+  })
+})
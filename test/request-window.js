@@ -0,0 +1,150 @@
+var tape = require('tape')
+var ddatabase = require('../')
+var ram = require('random-access-memory')
+var Protocol = require('ddatabase-protocol')
+var create = require('./helpers/create')
+var replicate = require('./helpers/replicate')
+
+tape('the window grows on a fast link', function (t) {
+  var feed = create()
+
+  feed.append(blocks(200), function () {
+    var clone = create(feed.key)
+    var peer = null
+
+    clone.once('peer-add', function (p) {
+      peer = p
+    })
+
+    replicate(feed, clone).on('end', function () {
+      t.same(clone.length, 200)
+      t.ok(peer.maxRequests > 16, 'more requests are pipelined')
+      t.same(peer.urgentRequests, peer.maxRequests + 16)
+      t.same(peer.stats.maxRequests, peer.maxRequests, 'window is in the stats')
+      t.ok(peer.stats.rtt >= 0, 'rtt is in the stats')
+      t.ok(peer.stats.throughput >= 0, 'throughput is in the stats')
+      t.end()
+    })
+  })
+})
+
+tape('the window shrinks when requests queue up at the peer', function (t) {
+  var feed = ddatabase(slowData(10))
+
+  feed.append(blocks(80), function () {
+    var clone = create(feed.key)
+    var peer = null
+
+    clone.once('peer-add', function (p) {
+      peer = p
+    })
+
+    replicate(feed, clone).on('end', function () {
+      t.same(clone.length, 80)
+      t.ok(peer.maxRequests < 16, 'fewer requests are pipelined')
+      t.ok(peer.stats.rtt > 10, 'rtt includes the time spent queued')
+      t.ok(peer.stats.throughput > 0, 'throughput was measured')
+      t.end()
+    })
+  })
+})
+
+tape('timeouts halve the window', function (t) {
+  var feed = create()
+
+  feed.append(blocks(4), function () {
+    var clone = create(feed.key, { sparse: true })
+    // pings often enough to keep the stream open, but never answers a request
+    var mute = new Protocol(false, { timeout: 300 })
+    var muteStream = clone.replicate(true, { live: true, timeout: 200 })
+    var stream = null
+    var peer = null
+
+    clone.once('peer-add', function (p) {
+      peer = p
+    })
+
+    var ch = mute.open(feed.key, {
+      onwant () {
+        ch.have({ start: 0, length: 4 })
+      },
+      onrequest () {
+        // never answered, but there is someone else to ask
+        if (!stream) stream = replicate(feed, clone, { live: true })
+      }
+    })
+
+    mute.on('error', function () {})
+    muteStream.on('error', function () {})
+    mute.pipe(muteStream).pipe(mute)
+
+    var timeout = setTimeout(() => t.fail('request should have timed out'), 2000)
+
+    clone.get(0, function (err) {
+      clearTimeout(timeout)
+      t.error(err, 'no error')
+      t.same(peer.timeouts, 1, 'the mute peer timed out')
+      t.same(peer.maxRequests, 8, 'and its window was halved')
+      t.same(peer.stats.maxRequests, 8)
+      mute.destroy()
+      stream.finalize()
+      t.end()
+    })
+  })
+})
+
+tape('maxRequests fixes the window', function (t) {
+  var feed = create()
+
+  feed.append(blocks(200), function () {
+    var clone = create(feed.key)
+    var peer = null
+
+    clone.once('peer-add', function (p) {
+      peer = p
+    })
+
+    replicate(feed, clone, { maxRequests: 4 }).on('end', function () {
+      t.same(clone.length, 200)
+      t.same(peer.maxRequests, 4)
+      t.end()
+    })
+  })
+})
+
+function blocks (n) {
+  var list = []
+  for (var i = 0; i < n; i++) list.push(Buffer.alloc(100, i))
+  return list
+}
+
+// data reads take ms each, one after the other, like a slow disk
+function slowData (ms) {
+  var queue = []
+
+  return function (name) {
+    var file = ram()
+    if (name !== 'data') return file
+
+    return {
+      read: function (offset, size, cb) {
+        queue.push(function () {
+          file.read(offset, size, function (err, buf) {
+            setTimeout(function () {
+              cb(err, buf)
+              queue.shift()
+              if (queue.length) queue[0]()
+            }, ms)
+          })
+        })
+        if (queue.length === 1) queue[0]()
+      },
+      write: function (offset, data, cb) {
+        file.write(offset, data, cb)
+      },
+      del: function (offset, size, cb) {
+        file.del(offset, size, cb)
+      }
+    }
+  }
+}
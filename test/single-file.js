@@ -0,0 +1,108 @@
+var tape = require('tape')
+var ddatabase = require('../')
+var createStorage = require('./helpers/create-storage')
+
+tape('single file storage', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(storage, { singleFile: true })
+
+  feed.append(['a', 'b', 'c'], function (err) {
+    t.error(err, 'no error')
+    t.same(Object.keys(storage.files), ['container'], 'only one file')
+
+    feed.close(function (err) {
+      t.error(err, 'no error')
+
+      var reopened = ddatabase(storage, { singleFile: true })
+      reopened.ready(function (err) {
+        t.error(err, 'no error')
+        t.same(reopened.key, feed.key)
+        t.ok(reopened.writable, 'still writable')
+        t.same(reopened.length, 3)
+
+        reopened.getBatch(0, 3, function (err, blocks) {
+          t.error(err, 'no error')
+          t.same(blocks.map(String), ['a', 'b', 'c'])
+          t.end()
+        })
+      })
+    })
+  })
+})
+
+tape('single file storage spans several pages', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(storage, { singleFile: { pageSize: 256 } })
+  var blocks = []
+
+  for (var i = 0; i < 50; i++) blocks.push('block #' + i)
+
+  feed.append(blocks, function (err) {
+    t.error(err, 'no error')
+
+    feed.close(function () {
+      var reopened = ddatabase(storage, { singleFile: true })
+      reopened.getBatch(0, 50, function (err, data) {
+        t.error(err, 'no error')
+        t.same(data.map(String), blocks)
+        t.end()
+      })
+    })
+  })
+})
+
+tape('single file storage supports clear and truncate', function (t) {
+  var feed = ddatabase(createStorage(), { singleFile: { pageSize: 64 } })
+
+  feed.append(['aaaaaaaaaa', 'bbbbbbbbbb', 'cccccccccc', 'dddddddddd'], function () {
+    feed.clear(0, 2, function (err) {
+      t.error(err, 'no error')
+      t.notOk(feed.has(0))
+
+      feed.truncate(3, function (err) {
+        t.error(err, 'no error')
+        t.same(feed.length, 3)
+
+        feed.append('eeeeeeeeee', function (err) {
+          t.error(err, 'no error')
+          feed.getBatch(2, 4, function (err, data) {
+            t.error(err, 'no error')
+            t.same(data.map(String), ['cccccccccc', 'eeeeeeeeee'])
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('migrate to single file storage', function (t) {
+  var storage = createStorage()
+  var feed = ddatabase(storage)
+
+  feed.append(['a', 'b', 'c'], function () {
+    feed.close(function () {
+      ddatabase.migrateToSingleFile(storage, function (err) {
+        t.error(err, 'no error')
+        t.ok(storage.files.container, 'has container')
+
+        var migrated = ddatabase(storage, { singleFile: true })
+        migrated.ready(function (err) {
+          t.error(err, 'no error')
+          t.same(migrated.key, feed.key)
+          t.ok(migrated.writable, 'still writable')
+          t.same(migrated.length, 3)
+
+          migrated.append('d', function (err) {
+            t.error(err, 'no error')
+            migrated.getBatch(0, 4, function (err, data) {
+              t.error(err, 'no error')
+              t.same(data.map(String), ['a', 'b', 'c', 'd'])
+              t.end()
+            })
+          })
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,168 @@
+var tape = require('tape')
+var collect = require('stream-collector')
+var create = require('./helpers/create')
+var replicate = require('./helpers/replicate')
+
+tape('snapshot does not see later appends', function (t) {
+  var feed = create({ valueEncoding: 'utf-8' })
+
+  feed.append(['a', 'b', 'c'], function () {
+    var snapshot = feed.snapshot()
+
+    feed.append(['d', 'e'], function () {
+      t.same(snapshot.length, 3)
+      t.same(snapshot.byteLength, 3)
+
+      snapshot.head(function (err, data) {
+        t.error(err, 'no error')
+        t.same(data, 'c')
+
+        snapshot.get(3, function (err) {
+          t.ok(err, 'index 3 is out of bounds')
+
+          snapshot.getBatch(0, 3, function (err, blocks) {
+            t.error(err, 'no error')
+            t.same(blocks, ['a', 'b', 'c'])
+
+            collect(snapshot.createReadStream(), function (err, blocks) {
+              t.error(err, 'no error')
+              t.same(blocks, ['a', 'b', 'c'])
+              t.end()
+            })
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('snapshot before the feed is ready', function (t) {
+  var feed = create()
+  var snapshot = feed.snapshot()
+
+  feed.append(['a', 'b'], function () {
+    snapshot.ready(function (err) {
+      t.error(err, 'no error')
+      t.same(snapshot.length, 0)
+      t.same(snapshot.key, feed.key)
+
+      collect(snapshot.createReadStream(), function (err, blocks) {
+        t.error(err, 'no error')
+        t.same(blocks, [])
+        t.end()
+      })
+    })
+  })
+})
+
+tape('snapshot seek', function (t) {
+  var feed = create()
+
+  feed.append(['hello', 'world'], function () {
+    var snapshot = feed.snapshot()
+
+    feed.append('!!!', function () {
+      snapshot.seek(7, function (err, index, offset) {
+        t.error(err, 'no error')
+        t.same(index, 1)
+        t.same(offset, 2)
+
+        snapshot.seek(10, function (err, index, offset) {
+          t.error(err, 'no error')
+          t.same(index, 2)
+          t.same(offset, 0)
+
+          snapshot.seek(11, function (err) {
+            t.ok(err, 'past the end of the snapshot')
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('snapshot root hashes are pinned', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c'], function () {
+    var snapshot = feed.snapshot()
+
+    feed.append('d', function () {
+      snapshot.rootHashes(function (err, roots) {
+        t.error(err, 'no error')
+
+        feed.rootHashes(2, function (err, expected) {
+          t.error(err, 'no error')
+          t.same(roots.map(hashes), expected.map(hashes))
+          t.end()
+        })
+      })
+    })
+  })
+})
+
+tape('snapshot of a replicated feed', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c'], function () {
+    var clone = create(feed.key, { sparse: true })
+
+    clone.update(function () {
+      var snapshot = clone.snapshot()
+
+      feed.append('d', function () {
+        collect(snapshot.createReadStream(), function (err, blocks) {
+          t.error(err, 'no error')
+          t.same(blocks.map(String), ['a', 'b', 'c'], 'downloads the snapshot')
+          t.end()
+        })
+      })
+    })
+
+    replicate(feed, clone, { live: true })
+  })
+})
+
+tape('snapshot root hashes of a reader', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c'], function () {
+    var clone = create(feed.key, { sparse: true })
+    var stream = replicate(feed, clone, { live: true })
+
+    clone.update(function () {
+      var snapshot = clone.snapshot()
+
+      snapshot.rootHashes(function (err, roots) {
+        t.error(err, 'no error')
+
+        feed.rootHashes(2, function (err, expected) {
+          t.error(err, 'no error')
+          t.same(roots.map(hashes), expected.map(hashes), 'not the roots the reader opened with')
+          stream.finalize()
+          t.end()
+        })
+      })
+    })
+  })
+})
+
+tape('truncating invalidates a snapshot', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c'], function () {
+    var snapshot = feed.snapshot()
+
+    feed.truncate(1, function () {
+      snapshot.get(0, function (err) {
+        t.ok(err, 'snapshot is no longer valid')
+        t.end()
+      })
+    })
+  })
+})
+
+function hashes (node) {
+  return node.hash.toString('hex')
+}
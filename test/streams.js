@@ -1,6 +1,7 @@
 var tape = require('tape')
 var collect = require('stream-collector')
 var create = require('./helpers/create')
+var replicate = require('./helpers/replicate')
 var bufferFrom = require('buffer-from')
 
 function test (batch = 1) {
@@ -122,8 +123,82 @@ function test (batch = 1) {
       feed.append(['c', 'd', 'e'])
     })
   })
+
+  tape('createReadStream with reverse: true', function (t) {
+    var feed = create({ valueEncoding: 'utf-8' })
+
+    feed.append(['a', 'b', 'c', 'd', 'e'], function () {
+      collect(feed.createReadStream({ reverse: true, batch }), function (err, data) {
+        t.error(err, 'no error')
+        t.same(data, ['e', 'd', 'c', 'b', 'a'])
+
+        collect(feed.createReadStream({ reverse: true, start: 1, end: 4, batch }), function (err, data) {
+          t.error(err, 'no error')
+          t.same(data, ['d', 'c', 'b'])
+          t.end()
+        })
+      })
+    })
+  })
+
+  tape('createReadStream with reverse: true from a peer', function (t) {
+    var feed = create({ valueEncoding: 'utf-8' })
+
+    feed.append(['a', 'b', 'c', 'd', 'e', 'f'], function () {
+      var clone = create(feed.key, { sparse: true, valueEncoding: 'utf-8' })
+      var stream = replicate(feed, clone, { live: true, maxRequests: 1 })
+      var downloaded = []
+
+      clone.on('download', function (index) {
+        downloaded.push(index)
+      })
+
+      clone.update(function () {
+        collect(clone.createReadStream({ reverse: true, end: 5, batch }), function (err, data) {
+          t.error(err, 'no error')
+          t.same(data, ['e', 'd', 'c', 'b', 'a'])
+          t.same(downloaded, [4, 3, 2, 1, 0], 'downloaded in the order read')
+          t.same(clone._selections.length, 0, 'stopped downloading')
+          stream.finalize()
+          t.end()
+        })
+      })
+    })
+  })
 }
 
+tape('reverse download does not go over the downloaded blocks again', function (t) {
+  var feed = create()
+  var batch = []
+
+  for (var i = 0; i < 200; i++) batch.push('#' + i)
+
+  feed.append(batch, function () {
+    var clone = create(feed.key, { sparse: true })
+    var stream = replicate(feed, clone, { live: true, maxRequests: 1 })
+    var checked = 0
+
+    clone.on('peer-open', function (peer) {
+      var get = peer.remoteBitfield.get
+
+      peer.remoteBitfield.get = function (index) {
+        checked++
+        return get.call(this, index)
+      }
+    })
+
+    clone.update(function () {
+      clone.download({ start: 0, end: 200, reverse: true }, function (err) {
+        t.error(err, 'no error')
+        t.ok(clone.has(0, 200), 'downloaded everything')
+        t.ok(checked < 1000, 'checked ' + checked + ' blocks')
+        stream.finalize()
+        t.end()
+      })
+    })
+  })
+})
+
 tape('createWriteStream with maxBlockSize', function (t) {
   t.plan(11 * 2 + 1)
 
@@ -156,5 +231,108 @@ tape('createWriteStream with maxBlockSize', function (t) {
   })
 })
 
+tape('createReadStream with step', function (t) {
+  var feed = create({ valueEncoding: 'utf-8' })
+
+  feed.append(['a', 'b', 'c', 'd', 'e', 'f', 'g'], function () {
+    collect(feed.createReadStream({ step: 3 }), function (err, data) {
+      t.error(err, 'no error')
+      t.same(data, ['a', 'd', 'g'])
+
+      collect(feed.createReadStream({ step: 2, reverse: true, end: 6 }), function (err, data) {
+        t.error(err, 'no error')
+        t.same(data, ['f', 'd', 'b'])
+        t.end()
+      })
+    })
+  })
+})
+
+tape('createReadStream with blocks', function (t) {
+  var feed = create({ valueEncoding: 'utf-8' })
+
+  feed.append(['a', 'b', 'c', 'd', 'e'], function () {
+    var clone = create(feed.key, { sparse: true, valueEncoding: 'utf-8' })
+    // one request at a time, so blocks arrive in the order they were requested
+    var stream = replicate(feed, clone, { live: true, maxRequests: 1 })
+    var downloaded = []
+
+    clone.on('download', function (index) {
+      downloaded.push(index)
+    })
+
+    clone.update(function () {
+      collect(clone.createReadStream({ blocks: [4, 0, 2] }), function (err, data) {
+        t.error(err, 'no error')
+        t.same(data, ['e', 'a', 'c'])
+        t.same(downloaded, [4, 0, 2], 'downloaded in the order read')
+        stream.finalize()
+        t.end()
+      })
+    })
+  })
+})
+
+tape('createReadStream cannot combine live with reverse', function (t) {
+  var feed = create()
+
+  t.throws(function () {
+    feed.createReadStream({ live: true, reverse: true })
+  })
+  t.end()
+})
+
+tape('createByteStream', function (t) {
+  var feed = create()
+
+  feed.append(['hello', ' ', 'world', '!'], function () {
+    collect(feed.createByteStream(), function (err, data) {
+      t.error(err, 'no error')
+      t.same(Buffer.concat(data), Buffer.from('hello world!'), 'defaults to the whole feed')
+
+      collect(feed.createByteStream({ byteOffset: 2, byteLength: 7 }), function (err, data) {
+        t.error(err, 'no error')
+        t.same(Buffer.concat(data), Buffer.from('llo wor'), 'slices the first and last block')
+
+        collect(feed.createByteStream({ byteOffset: 6, byteLength: 100 }), function (err, data) {
+          t.error(err, 'no error')
+          t.same(Buffer.concat(data), Buffer.from('world!'), 'stops at the end of the feed')
+
+          collect(feed.createByteStream({ byteOffset: 12 }), function (err, data) {
+            t.error(err, 'no error')
+            t.same(data.length, 0, 'nothing past the end')
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('createByteStream on a sparse feed', function (t) {
+  var feed = create({ valueEncoding: 'utf-8' })
+
+  feed.append(['aaa', 'bbb', 'ccc', 'ddd', 'eee'], function () {
+    var clone = create(feed.key, { sparse: true, valueEncoding: 'utf-8' })
+    var stream = replicate(feed, clone, { live: true })
+    var selections = 0
+
+    clone.update(function () {
+      selections = clone._selections.length
+
+      collect(clone.createByteStream({ byteOffset: 4, byteLength: 6 }), function (err, data) {
+        t.error(err, 'no error')
+        t.same(Buffer.concat(data), Buffer.from('bbcccd'), 'reads raw bytes, not values')
+        t.ok(clone.has(1, 4), 'downloaded the blocks in range')
+        t.notOk(clone.has(0), 'not before the range')
+        t.notOk(clone.has(4), 'not after the range')
+        t.same(clone._selections.length, selections, 'stopped downloading')
+        stream.finalize()
+        t.end()
+      })
+    })
+  })
+})
+
 test()
 test(10)
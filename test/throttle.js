@@ -0,0 +1,137 @@
+var tape = require('tape')
+var create = require('./helpers/create')
+var replicate = require('./helpers/replicate')
+
+tape('upload rate of the feed', function (t) {
+  var feed = create({ uploadRate: 20000 })
+
+  feed.append(blocks(30, 1000), function () {
+    var clone = create(feed.key)
+    var start = Date.now()
+
+    replicate(feed, clone).on('end', function () {
+      t.same(clone.length, 30)
+      t.ok(Date.now() - start >= 400, 'took at least as long as the rate allows')
+      t.ok(feed.stats.totals.uploadThrottledTime > 0, 'throttled time is counted')
+      t.end()
+    })
+  })
+})
+
+tape('download rate of the feed', function (t) {
+  var feed = create()
+
+  feed.append(blocks(30, 1000), function () {
+    var clone = create(feed.key, { downloadRate: 20000 })
+    var start = Date.now()
+
+    replicate(feed, clone).on('end', function () {
+      t.same(clone.length, 30)
+      t.ok(Date.now() - start >= 400, 'took at least as long as the rate allows')
+      t.ok(clone.stats.totals.downloadThrottledTime > 0, 'throttled time is counted')
+      t.end()
+    })
+  })
+})
+
+tape('upload rate of a single peer', function (t) {
+  var feed = create()
+
+  feed.append(blocks(30, 1000), function () {
+    var clone = create(feed.key)
+    var start = Date.now()
+    var peer = null
+
+    feed.once('peer-add', function (p) {
+      peer = p
+    })
+
+    replicate(feed, clone, { uploadRate: 20000 }).on('end', function () {
+      t.same(clone.length, 30)
+      t.ok(Date.now() - start >= 400, 'took at least as long as the rate allows')
+      t.ok(peer.stats.uploadThrottledTime > 0, 'throttled time is counted for the peer')
+      t.same(feed.stats.totals.uploadThrottledTime, peer.stats.uploadThrottledTime)
+      t.end()
+    })
+  })
+})
+
+tape('change the rate at runtime', function (t) {
+  var feed = create({ uploadRate: 1000 })
+
+  feed.append(blocks(20, 1000), function () {
+    var clone = create(feed.key)
+    var start = Date.now()
+
+    replicate(feed, clone).on('end', function () {
+      t.same(clone.length, 20)
+      t.ok(Date.now() - start < 5000, 'finished once the limit was lifted')
+      t.end()
+    })
+
+    setTimeout(function () {
+      t.ok(clone.downloaded() < 20, 'still downloading')
+      feed.setUploadRate(0)
+    }, 200)
+  })
+})
+
+tape('closing a peer clears its throttles', function (t) {
+  var feed = create({ uploadRate: 1000 })
+
+  feed.append(blocks(20, 1000), function () {
+    var clone = create(feed.key)
+    var peer = null
+
+    feed.once('peer-add', function (p) {
+      peer = p
+    })
+
+    var stream = feed.replicate(false, { live: true, uploadRate: 2000 })
+    var cloneStream = clone.replicate(true, { live: true })
+
+    stream.on('error', function () {})
+    cloneStream.on('error', function () {})
+    stream.pipe(cloneStream).pipe(stream)
+
+    setTimeout(function () {
+      t.ok(feed._uploadThrottle._waiting.length > 0, 'uploads are waiting')
+
+      stream.destroy()
+
+      setTimeout(function () {
+        t.same(peer._uploadThrottle._waiting.length, 0, 'nothing waits on the peer')
+        t.same(peer._uploadThrottle._timer, null, 'and its timer is stopped')
+        t.same(feed._uploadThrottle._waiting.length, 0, 'nor on the feed')
+        t.same(feed._uploadThrottle._timer, null)
+        t.end()
+      }, 50)
+    }, 200)
+  })
+})
+
+tape('closing the feed clears its throttles', function (t) {
+  var feed = create({ uploadRate: 1000 })
+
+  feed.append(blocks(20, 1000), function () {
+    var clone = create(feed.key)
+
+    replicate(feed, clone, { live: true })
+
+    setTimeout(function () {
+      t.ok(feed._uploadThrottle._waiting.length > 0, 'uploads are waiting')
+
+      feed.close(function () {
+        t.same(feed._uploadThrottle._waiting.length, 0, 'nothing waits on the feed')
+        t.same(feed._uploadThrottle._timer, null, 'and its timer is stopped')
+        t.end()
+      })
+    }, 200)
+  })
+})
+
+function blocks (n, size) {
+  var list = []
+  for (var i = 0; i < n; i++) list.push(Buffer.alloc(size, i))
+  return list
+}
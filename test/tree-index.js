@@ -125,6 +125,29 @@ tape('proof without a digest', function (t) {
   t.end()
 })
 
+tape('range proof', function (t) {
+  var index = tree()
+  t.same(index.rangeProof(0, 1), null)
+
+  for (var i = 0; i < 8; i += 2) index.set(i)
+  t.same(index.rangeProof(0, 4), { nodes: [], verifiedBy: 8 })
+  t.same(index.rangeProof(1, 3), { nodes: [0, 6], verifiedBy: 8 })
+  t.same(index.rangeProof(2, 4), { nodes: [1], verifiedBy: 8 })
+  t.same(index.rangeProof(3, 3), null)
+
+  index.set(8)
+  t.same(index.rangeProof(0, 2), { nodes: [5, 8], verifiedBy: 10 })
+
+  index = tree()
+  index.set(3)
+  index.set(8)
+  index.set(10)
+  t.same(index.rangeProof(4, 6), { nodes: [3], verifiedBy: 12 })
+  t.same(index.rangeProof(3, 6), null, 'missing a block')
+
+  t.end()
+})
+
 tape('proof with a digest', function (t) {
   var index = tree()
   t.same(index.proof(0), null)
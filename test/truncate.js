@@ -0,0 +1,186 @@
+var create = require('./helpers/create')
+var replicate = require('./helpers/replicate')
+var tape = require('tape')
+var ddatabase = require('../')
+var ram = require('random-access-memory')
+
+tape('truncate', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c', 'd', 'e'], function () {
+    feed.truncate(3, function (err) {
+      t.error(err, 'no error')
+      t.same(feed.length, 3)
+      t.same(feed.byteLength, 3)
+      t.same(feed.fork, 1)
+      t.notOk(feed.has(3))
+
+      feed.get(3, { wait: false }, function (err) {
+        t.ok(err, 'block is gone')
+
+        feed.append(['f', 'g'], function (err) {
+          t.error(err, 'no error')
+          t.same(feed.length, 5)
+
+          feed.getBatch(0, 5, function (err, blocks) {
+            t.error(err, 'no error')
+            t.same(blocks.map(String), ['a', 'b', 'c', 'f', 'g'])
+
+            feed.signature(function (err, sig) {
+              t.error(err, 'no error')
+              feed.verify(4, sig.signature, function (err, valid) {
+                t.error(err, 'no error')
+                t.ok(valid, 'signature is valid')
+                t.end()
+              })
+            })
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('truncate to zero', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b'], function () {
+    feed.truncate(0, function (err) {
+      t.error(err, 'no error')
+      t.same(feed.length, 0)
+      t.same(feed.byteLength, 0)
+
+      feed.append('c', function (err) {
+        t.error(err, 'no error')
+        feed.get(0, function (err, data) {
+          t.error(err, 'no error')
+          t.same(data, Buffer.from('c'))
+          t.end()
+        })
+      })
+    })
+  })
+})
+
+tape('truncate past the end fails', function (t) {
+  var feed = create()
+
+  feed.append('a', function () {
+    feed.truncate(2, function (err) {
+      t.ok(err, 'had error')
+      t.same(feed.length, 1)
+      t.same(feed.fork, 0)
+      t.end()
+    })
+  })
+})
+
+tape('truncate on a readonly feed fails', function (t) {
+  var feed = create()
+
+  feed.append('a', function () {
+    var clone = create(feed.key)
+
+    clone.truncate(0, function (err) {
+      t.ok(err, 'had error')
+      t.end()
+    })
+  })
+})
+
+tape('truncate is persisted', function (t) {
+  var feed = ddatabase(storage)
+
+  feed.append(['a', 'b', 'c', 'd'], function () {
+    feed.truncate(2, function (err) {
+      t.error(err, 'no error')
+      var reopened = ddatabase(storage)
+
+      reopened.ready(function (err) {
+        t.error(err, 'no error')
+        t.same(reopened.length, 2)
+        t.same(reopened.byteLength, 2)
+        t.same(reopened.fork, 1)
+
+        reopened.append('e', function (err) {
+          t.error(err, 'no error')
+          reopened.get(2, function (err, data) {
+            t.error(err, 'no error')
+            t.same(data, Buffer.from('e'))
+            t.end()
+          })
+        })
+      })
+    })
+  })
+
+  function storage (name) {
+    if (storage[name]) return storage[name]
+    storage[name] = ram()
+    return storage[name]
+  }
+})
+
+tape('truncate propagates to replicating peers', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c', 'd'], function () {
+    var clone = create(feed.key)
+
+    replicate(feed, clone, { live: true })
+
+    clone.on('sync', onsync)
+
+    function onsync () {
+      clone.removeListener('sync', onsync)
+
+      clone.once('truncate', function (length, oldLength) {
+        t.same(length, 2)
+        t.same(oldLength, 4)
+        t.same(clone.length, 2)
+        t.same(clone.fork, 1)
+
+        feed.append(['e', 'f'], function () {
+          clone.get(3, function (err, data) {
+            t.error(err, 'no error')
+            t.same(data, Buffer.from('f'))
+            t.same(clone.fork, 1)
+            t.end()
+          })
+        })
+      })
+
+      feed.truncate(2)
+    }
+  })
+})
+
+tape('truncate reaches peers that were offline', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c', 'd'], function () {
+    var clone = create(feed.key)
+
+    replicate(feed, clone).on('end', function () {
+      t.same(clone.length, 4)
+
+      feed.truncate(2, function () {
+        feed.append(['e', 'f', 'g'], function () {
+          replicate(feed, clone, { live: true })
+
+          clone.get(4, function (err, data) {
+            t.error(err, 'no error')
+            t.same(data, Buffer.from('g'))
+            t.same(clone.fork, 1)
+
+            clone.get(2, function (err, data) {
+              t.error(err, 'no error')
+              t.same(data, Buffer.from('e'))
+              t.end()
+            })
+          })
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,142 @@
+var tape = require('tape')
+var Protocol = require('ddatabase-protocol')
+var create = require('./helpers/create')
+var replicate = require('./helpers/replicate')
+
+tape('onupload serves only the first blocks to unknown peers', function (t) {
+  var trusted = null
+  var feed = create({
+    onupload: function (index, peer, cb) {
+      setImmediate(function () {
+        cb(null, index < 2 || (!!trusted && trusted.equals(peer.remotePublicKey)))
+      })
+    }
+  })
+
+  feed.append(['a', 'b', 'c', 'd'], function () {
+    var clone = create(feed.key, { sparse: true })
+    var stream = replicate(feed, clone, { live: true })
+
+    clone.get(1, function (err, data) {
+      t.error(err, 'no error')
+      t.same(data, Buffer.from('b'))
+
+      clone.get(3, { timeout: 200 }, function (err) {
+        t.ok(err, 'block 3 was not served')
+        t.same(clone.peers[0].timeouts, 0, 'the request was not left to time out')
+        stream.finalize()
+
+        var friend = create(feed.key, { sparse: true })
+        friend.ready(function () {
+          trusted = friend.noiseKeyPair.publicKey
+          var stream = replicate(feed, friend, { live: true })
+
+          friend.get(3, function (err, data) {
+            t.error(err, 'no error')
+            t.same(data, Buffer.from('d'), 'trusted peer gets everything')
+            stream.finalize()
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
+
+tape('allow and deny lists', function (t) {
+  var feed = create({
+    allowUploads: [{ start: 0, end: 3 }],
+    denyUploads: [{ start: 1, end: 2 }]
+  })
+
+  feed.append(['a', 'b', 'c', 'd', 'e'], function () {
+    var clone = create(feed.key)
+
+    replicate(feed, clone).on('end', function () {
+      t.same(clone.has(0), true)
+      t.same(clone.has(1), false, 'denied')
+      t.same(clone.has(2), true)
+      t.same(clone.has(3, 5), false, 'not allowed')
+      t.end()
+    })
+  })
+})
+
+tape('deny rules for a public key', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c'], function () {
+    var clone = create(feed.key)
+    var other = create(feed.key)
+
+    clone.ready(function () {
+      feed.denyUploads.push({ start: 1, publicKey: clone.noiseKeyPair.publicKey.toString('hex') })
+
+      replicate(feed, clone).on('end', function () {
+        t.same(clone.has(0), true)
+        t.same(clone.has(1, 3), false, 'denied for this peer')
+
+        replicate(feed, other).on('end', function () {
+          t.same(other.has(0, 3), true, 'but not for others')
+          t.end()
+        })
+      })
+    })
+  })
+})
+
+tape('denied blocks are fetched from other peers', function (t) {
+  var feed = create()
+
+  feed.append(['a', 'b', 'c'], function () {
+    var stingy = create(feed.key, { denyUploads: [{}] })
+
+    replicate(feed, stingy).on('end', function () {
+      var clone = create(feed.key, { sparse: true })
+      var s1 = replicate(stingy, clone, { live: true })
+      var s2 = null
+      var stingyPeer = null
+
+      clone.once('peer-add', function (peer) {
+        stingyPeer = peer
+      })
+
+      clone.get(2, function (err, data) {
+        t.error(err, 'no error')
+        t.same(data, Buffer.from('c'))
+        t.same(stingyPeer.timeouts, 0, 'did not wait for the stingy peer to time out')
+        s1.finalize()
+        s2.finalize()
+        t.end()
+      })
+
+      setTimeout(function () {
+        s2 = replicate(feed, clone, { live: true })
+      }, 50)
+    })
+  })
+})
+
+tape('denials are sent to peers that did not want anything', function (t) {
+  var feed = create({ denyUploads: [{ start: 0, end: 1 }] })
+
+  feed.append('a', function () {
+    var stream = feed.replicate(true, { live: true })
+    var remote = new Protocol(false)
+
+    var ch = remote.open(feed.key, {
+      onunhave (unhave) {
+        t.same(unhave.start, 0, 'the request was denied')
+        remote.destroy()
+        t.end()
+      }
+    })
+
+    // a request without a want first
+    ch.request({ index: 0 })
+
+    remote.on('error', function () {})
+    stream.on('error', function () {})
+    remote.pipe(stream).pipe(remote)
+  })
+})